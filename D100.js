@@ -0,0 +1,108 @@
+import React, { forwardRef } from "react";
+import D10 from "./D10";
+import { RollHistoryProvider } from "./RollHistory";
+import { NestedDice, rollButtonProps, LiveRegion, visuallyHidden } from "./diceAccessibility";
+import useCompositeRoll from "./useCompositeRoll";
+import { useInDiceScene } from "./DiceScene";
+
+// ===== Percentile result: 00 + 0 reads as 100 =====
+export function percentileValue(tens, units) {
+  const total = tens + units;
+  return total === 0 ? 100 : total;
+}
+
+// Split a 1–100 result back into the tens and units faces that show it
+function percentileParts(value) {
+  if (!Number.isInteger(value) || value < 1 || value > 100) {
+    throw new Error(`d100 has no result ${value}`);
+  }
+  return value === 100 ? [0, 0] : [Math.floor(value / 10) * 10, value % 10];
+}
+
+// ===== Main D100 component: a tens D10 and a units D10 thrown together =====
+// The ref exposes the same roll(), rollTo(value), reset() and getResult() as a single die,
+// and value / rollId / onRequestRoll put it in controlled mode just like one.
+// onRollComplete gets a result object like a single die's, plus tens, units and both D10 results as parts.
+// onRollStart, onBounce (either D10 hitting something) and onSettle (both D10s showing their faces)
+// fire for the pair as a whole. A `mark` from a DiceTray goes on both D10s.
+// A syncId syncs both D10s (as `${syncId}:tens` and `:units`); a replayed pair settles and reports
+// like a local one, and onReplay gets the promise for its value.
+function D100(
+  {
+    onRollStart,
+    onBounce,
+    onSettle,
+    onRollComplete,
+    rollSignal = 0,
+    height = 400,
+    physics = false,
+    seed,
+    rng,
+    value,
+    rollId,
+    onRequestRoll,
+    label,
+    theme,
+    reducedMotion,
+    volume,
+    muted,
+    syncId,
+    onReplay,
+    table,
+    lighting,
+    mark,
+  },
+  ref
+) {
+  const group = useCompositeRoll(
+    {
+      dieType: "d100",
+      parts: ["tens", "units"],
+      compose: ([tens, units]) => {
+        const result = percentileValue(tens, units);
+        return {
+          value: result,
+          faceIndex: null,
+          historyDie: "d100",
+          announcement: `d100 rolled ${result}`,
+          fields: { tens, units },
+        };
+      },
+      split: percentileParts,
+    },
+    { onRollStart, onBounce, onSettle, onRollComplete, rollSignal, value, rollId, onRequestRoll, label, seed, syncId, onReplay },
+    ref
+  );
+  // in a DiceScene the dice draw into the scene, so the group keeps only its button and live region
+  const inScene = useInDiceScene();
+
+  // everything but the part's own props is the same for both D10s
+  const shared = { physics, rng, height, theme, reducedMotion, volume, muted, table, lighting, mark };
+
+  return (
+    <div
+      style={inScene ? visuallyHidden : { display: "flex", width: "100%", height, cursor: "pointer" }}
+      onClickCapture={(event) => {
+        // one click throws both dice, never just the one under the pointer
+        event.stopPropagation();
+        group.activate();
+      }}
+      {...(group.nested ? {} : rollButtonProps(group.requestRoll, `Roll d100${label ? `, ${label}` : ""}`))}
+    >
+      {!group.nested && <LiveRegion message={group.announcement} />}
+      {/* the pair is logged as one d100 roll, not as two d10s */}
+      <RollHistoryProvider history={null}>
+        <NestedDice onActivate={group.activate}>
+          <div style={{ flex: 1 }}>
+            <D10 {...group.partProps(0)} variant="tens" {...shared} />
+          </div>
+          <div style={{ flex: 1 }}>
+            <D10 {...group.partProps(1)} variant="units" {...shared} />
+          </div>
+        </NestedDice>
+      </RollHistoryProvider>
+    </div>
+  );
+}
+
+export default forwardRef(D100);
@@ -1,226 +1,164 @@
-import React, { useRef, useState, useMemo, useEffect } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
-import * as THREE from "three";
-import { OrbitControls } from "@react-three/drei";
-
-/**
- * D20 component
- * - Starts with side 20 facing the camera
- * - Prevents user camera drag
- * - Rolls randomly, bounces once, then settles with the rolled face flush to camera
- * - Geometry uses per-face UVs and material groups (non-indexed)
- */
-
-const ROLL_DURATION_MS = 1800;
-const GRAVITY = -9.8;
-const BOUNCE_DAMPING = 0.5;
-
-// ===== helper: create numbered textures for faces =====
-function makeNumberTexture(number, size = 256, bgcolor = "#ad1457", fg = "#fff") {
-  const canvas = document.createElement("canvas");
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext("2d");
-
-  ctx.fillStyle = bgcolor;
-  ctx.fillRect(0, 0, size, size);
-
-  ctx.fillStyle = fg;
-  ctx.font = `${Math.floor(size * 0.4)}px sans-serif`;
-  ctx.textAlign = "center";
-  ctx.textBaseline = "top";
-  ctx.lineWidth = Math.floor(size * 0.03);
-  ctx.strokeStyle = "rgba(0,0,0,0.4)";
-  ctx.strokeText(String(number), size / 2, size / 2);
-  ctx.fillText(String(number), size / 2, size / 2);
-
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.needsUpdate = true;
-  return tex;
+import React, { forwardRef } from "react";
+import Die from "./Die";
+import { rollOutcome } from "./diceEffects";
+import { RollHistoryProvider } from "./RollHistory";
+import { NestedDice, rollButtonProps, LiveRegion, visuallyHidden, outcomeSuffix } from "./diceAccessibility";
+import useCompositeRoll from "./useCompositeRoll";
+import { useInDiceScene } from "./DiceScene";
+
+const ROLL_MODES = ["advantage", "disadvantage"];
+
+// ===== Advantage keeps the higher of two d20s, disadvantage the lower =====
+export function keptRoll(mode, [first, second]) {
+  return mode === "disadvantage" ? Math.min(first, second) : Math.max(first, second);
 }
 
-// ===== D20 mesh =====
-function D20Mesh({ rolling, targetQuaternion, materials, rollDirection, rollStartTime, resetSignal, initialQuaternion }) {
-  const meshRef = useRef();
-  const velocity = useRef(new THREE.Vector3());
-  const pos = useRef(new THREE.Vector3(0, 0, 0));
-  const hasBounced = useRef(false);
-
-  // --- Geometry setup (non-indexed, grouped per triangle, with UVs)
-  const geometry = useMemo(() => {
-    const g = new THREE.IcosahedronGeometry(1);
-    const nonIndexed = g.toNonIndexed();
-
-    const posAttr = nonIndexed.attributes.position;
-    const triCount = posAttr.count / 3;
-    const uvs = [];
-
-    for (let i = 0; i < triCount; i++) {
-      uvs.push(0.5, 1.0);
-      uvs.push(0.0, 0.0);
-      uvs.push(1.0, 0.0);
-    }
-
-    nonIndexed.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
-
-    nonIndexed.clearGroups();
-    for (let i = 0; i < triCount; i++) {
-      nonIndexed.addGroup(i * 3, 3, i);
-    }
-
-    nonIndexed.computeVertexNormals();
-    return nonIndexed;
-  }, []);
-
-  // reset to start each roll
-  useEffect(() => {
-    pos.current.set(0, 0, 0);
-    velocity.current.set(rollDirection[0] * 3, rollDirection[1] * 4, rollDirection[2] * 3);
-    hasBounced.current = false;
-    if (meshRef.current) {
-      meshRef.current.position.set(0, 0, 0);
-      meshRef.current.quaternion.copy(initialQuaternion); // start with face 20 facing camera
-    }
-  }, [resetSignal, rollDirection, initialQuaternion]);
-
-  useFrame((state, delta) => {
-    const mesh = meshRef.current;
-    if (!mesh) return;
-
-    if (rolling) {
-      velocity.current.y += GRAVITY * delta * 0.6;
-      pos.current.addScaledVector(velocity.current, delta);
-      mesh.position.copy(pos.current);
-
-      if (pos.current.y < -1.4 && !hasBounced.current) {
-        pos.current.y = -1.4;
-        velocity.current.y *= -BOUNCE_DAMPING;
-        hasBounced.current = true;
-      }
-
-      mesh.rotation.x += delta * (8 + Math.random() * 3);
-      mesh.rotation.y += delta * (10 + Math.random() * 3);
-      mesh.rotation.z += delta * (7 + Math.random() * 2);
-      mesh.quaternion.setFromEuler(mesh.rotation);
-    } else if (targetQuaternion) {
-      mesh.quaternion.slerp(targetQuaternion, Math.min(1, delta * 6));
-      mesh.position.lerp(new THREE.Vector3(0, 0, 0), delta * 3);
-    }
-  });
-
-  return <mesh ref={meshRef} geometry={geometry} material={materials} />;
+// Mark for each die of the pair once it settles: the kept one is ringed, the other veiled
+function pairMark(keptIndex, index) {
+  if (keptIndex === null) return null;
+  return keptIndex === index ? "kept" : "dropped";
 }
 
-// ===== Main D20 component =====
-export default function D20({onRollComplete}) {
-  const [rolling, setRolling] = useState(false);
-  const [result, setResult] = useState(20);
-  const [targetQuat, setTargetQuat] = useState(null);
-  const [rollDirection, setRollDirection] = useState([0, 0, 0]);
-  const [rollStartTime, setRollStartTime] = useState(0);
-  const [resetSignal, setResetSignal] = useState(0);
-  const [initialQuat, setInitialQuat] = useState(new THREE.Quaternion());
-  const diceRef = useRef();
-  // create materials (20 numbered faces)
-  const materials = useMemo(() => {
-    return Array.from({ length: 20 }, (_, i) => {
-      const n = i + 1;
-      return new THREE.MeshStandardMaterial({
-        map: makeNumberTexture(n, 256, "#ad1457", "#ffffff"),
-        roughness: 0.5,
-        metalness: 0.0,
-        side: THREE.FrontSide,
-      });
-    });
-  }, []);
-
-  // Compute quaternion for side 20 facing camera (+Z)
-  useEffect(() => {
-    const geo = new THREE.IcosahedronGeometry(1).toNonIndexed();
-    geo.computeVertexNormals();
-    const normals = geo.attributes.normal;
-    const faceIndex = 19; // side 20
-    const i0 = faceIndex * 3;
-    const n0 = new THREE.Vector3().fromBufferAttribute(normals, i0);
-    const n1 = new THREE.Vector3().fromBufferAttribute(normals, i0 + 1);
-    const n2 = new THREE.Vector3().fromBufferAttribute(normals, i0 + 2);
-    const faceNormal = new THREE.Vector3().add(n0).add(n1).add(n2).divideScalar(3).normalize();
-
-    const forward = new THREE.Vector3(0, 0, 1);
-    const q = new THREE.Quaternion().setFromUnitVectors(faceNormal, forward);
-    setInitialQuat(q);
-  }, []);
-
-  const rollDice = () => {
-    if (rolling) return;
-    setRolling(true);
-    setRollStartTime(performance.now() / 1000);
-
-    const faceIndex = Math.floor(Math.random() * 20);
-    const faceNumber = faceIndex + 1; // Result is between 1 and 20
-    setResult(faceNumber);
-
-    // Generate random direction for rolling
-    const dir = new THREE.Vector3(
-      (Math.random() - 0.5) * 2,
-      Math.random() * 1.5 + 1.2,
-      (Math.random() - 0.5) * 2
-    ).normalize();
-    setRollDirection([dir.x, dir.y, dir.z]);
-    setResetSignal((s) => s + 1);
-
-    // Get quaternion for the chosen face (after the roll)
-    const tempGeo = new THREE.IcosahedronGeometry(1).toNonIndexed();
-    tempGeo.computeVertexNormals();
-    const normals = tempGeo.attributes.normal;
-    const positions = tempGeo.attributes.position;
-    const i0 = faceIndex * 3;
-    const n0 = new THREE.Vector3().fromBufferAttribute(normals, i0);
-    const n1 = new THREE.Vector3().fromBufferAttribute(normals, i0 + 1);
-    const n2 = new THREE.Vector3().fromBufferAttribute(normals, i0 + 2);
-    const faceNormal = new THREE.Vector3().add(n0).add(n1).add(n2).divideScalar(3).normalize();
-
-    const up = new THREE.Vector3(0, 0, 1); // Camera's forward direction
-    const targetQuaternion = new THREE.Quaternion().setFromUnitVectors(faceNormal, up);
+// ===== Two D20s thrown together for advantage / disadvantage =====
+// onRollComplete / onCritical / onFumble get a result object for the kept value, plus mode,
+// rolls: [first, second] and both dice's results as parts; roll() resolves with the kept value.
+// Controlled mode takes value={[first, second]}; rollTo([first, second]) lands on a given pair.
+// Crits are judged on the kept value, and only the kept die shows the effect.
+// onRollStart, onBounce (either die) and onSettle (both dice settled) fire for the pair as a whole.
+// A syncId syncs both dice (as `${syncId}:0` and `:1`); onReplay gets each replayed pair's promise.
+function D20Pair(
+  {
+    mode,
+    onRollStart,
+    onBounce,
+    onSettle,
+    onRollComplete,
+    rollSignal = 0,
+    height = 400,
+    physics = false,
+    seed,
+    rng,
+    value,
+    rollId,
+    onRequestRoll,
+    critOn,
+    fumbleOn,
+    onCritical,
+    onFumble,
+    label,
+    theme,
+    reducedMotion,
+    volume,
+    muted,
+    syncId,
+    onReplay,
+    table,
+    lighting,
+  },
+  ref
+) {
+  const group = useCompositeRoll(
+    {
+      dieType: "d20",
+      parts: [0, 1],
+      extra: { mode },
+      compose: (values, parts) => {
+        const kept = keptRoll(mode, values);
+        const outcome = rollOutcome(kept, { critOn, fumbleOn });
+        return {
+          value: kept,
+          faceIndex: parts[values.indexOf(kept)].faceIndex,
+          historyDie: mode === "disadvantage" ? "2d20kl1" : "2d20kh1",
+          announcement: `d20 with ${mode} rolled ${values[0]} and ${values[1]}, keeping ${kept}${outcomeSuffix(outcome)}`,
+          fields: { rolls: values },
+        };
+      },
+      split: (pair) => {
+        if (!Array.isArray(pair) || pair.length !== 2) {
+          throw new Error(`d20 ${mode} needs two values, got ${pair}`);
+        }
+        return pair;
+      },
+    },
+    {
+      onRollStart,
+      onBounce,
+      onSettle,
+      onRollComplete,
+      // crits are judged on the kept value
+      onComplete: (keptResult) => {
+        const outcome = rollOutcome(keptResult.value, { critOn, fumbleOn });
+        if (outcome === "critical" && onCritical) onCritical(keptResult);
+        if (outcome === "fumble" && onFumble) onFumble(keptResult);
+      },
+      rollSignal,
+      value,
+      rollId,
+      onRequestRoll,
+      label,
+      seed,
+      syncId,
+      onReplay,
+    },
+    ref
+  );
+  // in a DiceScene the dice draw into the scene, so the group keeps only its button and live region
+  const inScene = useInDiceScene();
 
-    // After the roll, ensure the dice settles with the rolled face facing the camera
-    setTimeout(() => {
-      setRolling(false);     // End animation
-      setTargetQuat(targetQuaternion);  // Set the quaternion to face the correct side
-      if (onRollComplete) {
-        onRollComplete(faceNumber);  // Notify parent with the result
-      }
-    }, ROLL_DURATION_MS);  // Add a buffer for realism
-  };
+  // which die to highlight, null while rolling; on a tie the first die is kept
+  const keptIndex = group.values ? group.values.indexOf(keptRoll(mode, group.values)) : null;
 
   return (
-    <div style={{ width: "100%", height:400 }}>
-      <div style={{ width: "100%", height: "100%", margin: "0 auto" }} onClick={rollDice}>
-        <Canvas camera={{ position: [0, 0, 4], fov: 50 }}>
-          <ambientLight intensity={0.6} />
-          <directionalLight position={[5, 5, 5]} intensity={0.8} />
-
-          {/* Invisible floor */}
-          <mesh position={[0, -1.4, 0]} visible={false}>
-            <boxGeometry args={[5, 0.1, 5]} />
-            <meshBasicMaterial transparent opacity={0} />
-          </mesh>
-
-          <D20Mesh
-            rolling={rolling}
-            targetQuaternion={targetQuat}
-            materials={materials}
-            rollDirection={rollDirection}
-            rollStartTime={rollStartTime}
-            resetSignal={resetSignal}
-            initialQuaternion={initialQuat}
-            ref={diceRef}
-          />
-
-          {/* Disable all camera interaction */}
-          <OrbitControls enableZoom={false} enablePan={false} enableRotate={false} />
-        </Canvas>
-      </div>
+    <div
+      style={inScene ? visuallyHidden : { display: "flex", width: "100%", height, cursor: "pointer" }}
+      onClickCapture={(event) => {
+        // one click throws both dice
+        event.stopPropagation();
+        group.activate();
+      }}
+      {...(group.nested ? {} : rollButtonProps(group.requestRoll, `Roll d20 with ${mode}${label ? `, ${label}` : ""}`))}
+    >
+      {!group.nested && <LiveRegion message={group.announcement} />}
+      <RollHistoryProvider history={null}>
+        <NestedDice onActivate={group.activate}>
+          {[0, 1].map((i) => (
+            <div key={i} style={{ flex: 1 }}>
+              <Die
+                {...group.partProps(i)}
+                sides={20}
+                physics={physics}
+                rng={rng}
+                height={height}
+                theme={theme}
+                reducedMotion={reducedMotion}
+                volume={volume}
+                muted={muted}
+                table={table}
+                lighting={lighting}
+                mark={pairMark(keptIndex, i)}
+                critOn={keptIndex === i ? critOn : null}
+                fumbleOn={keptIndex === i ? fumbleOn : null}
+              />
+            </div>
+          ))}
+        </NestedDice>
+      </RollHistoryProvider>
     </div>
   );
 }
+
+const ForwardedD20Pair = forwardRef(D20Pair);
+
+// ===== D20: twenty-sided die (icosahedron); mode="advantage" | "disadvantage" throws a pair =====
+// Natural 20 / natural 1 count as critical / fumble unless critOn / fumbleOn say otherwise (null disables).
+function D20({ mode, critOn = 20, fumbleOn = 1, ...props }, ref) {
+  if (mode === undefined) {
+    return <Die {...props} ref={ref} sides={20} critOn={critOn} fumbleOn={fumbleOn} />;
+  }
+  if (!ROLL_MODES.includes(mode)) {
+    throw new Error(`Unknown d20 mode "${mode}" (expected ${ROLL_MODES.join(" or ")})`);
+  }
+  return <ForwardedD20Pair {...props} ref={ref} mode={mode} critOn={critOn} fumbleOn={fumbleOn} />;
+}
+
+export default forwardRef(D20);
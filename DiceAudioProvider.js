@@ -0,0 +1,31 @@
+import React, { createContext, useContext, useRef } from "react";
+import { pitchForDie, playThrow, playClack, playSettle } from "./diceAudio";
+
+// ===== Audio context: a master volume and mute for every die below =====
+const DiceAudioContext = createContext({ muted: false, volume: 1 });
+
+export default function DiceAudioProvider({ muted = false, volume = 1, children }) {
+  return <DiceAudioContext.Provider value={{ muted, volume }}>{children}</DiceAudioContext.Provider>;
+}
+
+const CLACK_INTERVAL_MS = 40; // a die rattling on the floor clacks at most this often
+
+// Sound effects for one die; the die's own volume / muted combine with the provider's
+export function useDiceSound(sides, { volume = 0.5, muted = false } = {}) {
+  const master = useContext(DiceAudioContext);
+  const lastClack = useRef(0);
+
+  const level = muted || master.muted ? 0 : volume * master.volume;
+  const pitch = pitchForDie(sides);
+
+  return {
+    playThrow: () => playThrow({ volume: level, pitch }),
+    playClack: (strength) => {
+      const now = Date.now();
+      if (now - lastClack.current < CLACK_INTERVAL_MS) return;
+      lastClack.current = now;
+      playClack({ volume: level, pitch, strength });
+    },
+    playSettle: () => playSettle({ volume: level, pitch }),
+  };
+}
@@ -0,0 +1,118 @@
+import React, { createContext, useContext, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { Canvas, useThree } from "@react-three/fiber";
+import { RenderOnChange, useOnScreen } from "./diceRendering";
+import { TableLights } from "./diceTable";
+
+// ===== DiceScene: many dice, one canvas =====
+// Every die rendered anywhere inside a DiceScene draws into the scene's single WebGL canvas
+// instead of opening its own, laid out in a grid of slots (in mount order, left to right,
+// top to bottom) in front of one shared camera. The dice keep their own state, callbacks,
+// announcements and keyboard access; clicking a die in the canvas rolls it (or its composite).
+// Like a single die's canvas it draws only while something moves, and pauses out of view.
+// `lights` sets the light levels and `lighting` a preset that tints and scales them (diceTable.js).
+const DiceSceneContext = createContext(null);
+
+let nextSlotId = 0;
+
+// Centre of slot `index` in a grid of `count` slots, `columns` wide
+export function slotPosition(index, count, columns, spacing) {
+  const cols = Math.min(columns, count);
+  const rows = Math.ceil(count / columns);
+  const col = index % columns;
+  const row = Math.floor(index / columns);
+  return [(col - (cols - 1) / 2) * spacing, ((rows - 1) / 2 - row) * spacing, 0];
+}
+
+// Pull the camera back until the whole grid fits the canvas
+function FitCamera({ rows, cols, spacing }) {
+  const { camera, size, invalidate } = useThree();
+
+  useEffect(() => {
+    const aspect = size.width / Math.max(1, size.height);
+    const halfHeight = (Math.max(rows, cols / aspect) * spacing) / 2;
+    camera.position.set(0, 0, halfHeight / Math.tan((camera.fov * Math.PI) / 360) + 1);
+    camera.lookAt(0, 0, 0);
+    camera.updateProjectionMatrix();
+    invalidate();
+  }, [camera, size.width, size.height, rows, cols, spacing, invalidate]);
+
+  return null;
+}
+
+export default function DiceScene({
+  children,
+  columns = 4,
+  spacing = 2.5,
+  height = 400,
+  lights = { ambient: 0.7, directional: 0.85 },
+  lighting = "studio",
+  style,
+}) {
+  const [slots, setSlots] = useState([]); // [{ id, content }] in mount order
+  const frameRef = useRef(null);
+  const onScreen = useOnScreen(frameRef);
+
+  const scene = useMemo(
+    () => ({
+      show(id, content) {
+        setSlots((current) =>
+          current.some((slot) => slot.id === id)
+            ? current.map((slot) => (slot.id === id ? { id, content } : slot))
+            : [...current, { id, content }]
+        );
+      },
+      hide(id) {
+        setSlots((current) => current.filter((slot) => slot.id !== id));
+      },
+    }),
+    []
+  );
+
+  const count = Math.max(1, slots.length);
+  const cols = Math.min(columns, count);
+  const rows = Math.ceil(count / columns);
+
+  return (
+    <DiceSceneContext.Provider value={scene}>
+      <div ref={frameRef} style={{ width: "100%", height, cursor: "pointer", ...style }}>
+        <Canvas camera={{ position: [0, 0, 4], fov: 50 }} frameloop={onScreen ? "demand" : "never"}>
+          <RenderOnChange deps={[onScreen]} />
+          <FitCamera rows={rows} cols={cols} spacing={spacing} />
+          <TableLights lighting={lighting} base={lights} />
+          {slots.map((slot, i) => (
+            <group key={slot.id} position={slotPosition(i, count, columns, spacing)}>
+              {slot.content}
+            </group>
+          ))}
+        </Canvas>
+      </div>
+      {children}
+    </DiceSceneContext.Provider>
+  );
+}
+
+// Whether this component sits inside a DiceScene, where dice take no room in the page layout
+export function useInDiceScene() {
+  return useContext(DiceSceneContext) !== null;
+}
+
+// For one die: inside a DiceScene, keeps `content` (three.js elements) in a slot of the shared
+// canvas and returns true; elsewhere does nothing and returns false.
+export function useSceneSlot(content) {
+  const scene = useContext(DiceSceneContext);
+  const id = useRef(null);
+  if (id.current === null) id.current = `slot-${nextSlotId++}`;
+
+  // content changes with every render of the die, so hand it over every time
+  useLayoutEffect(() => {
+    if (scene) scene.show(id.current, content);
+  });
+
+  useLayoutEffect(() => {
+    if (!scene) return undefined;
+    const slotId = id.current;
+    return () => scene.hide(slotId);
+  }, [scene]);
+
+  return scene !== null;
+}
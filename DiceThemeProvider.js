@@ -0,0 +1,15 @@
+import React, { createContext, useContext } from "react";
+import { DEFAULT_THEME } from "./diceThemes";
+
+// ===== Theme context: every die below picks up this theme unless given its own `theme` prop =====
+const DiceThemeContext = createContext(DEFAULT_THEME);
+
+export default function DiceThemeProvider({ theme = DEFAULT_THEME, children }) {
+  return <DiceThemeContext.Provider value={theme}>{children}</DiceThemeContext.Provider>;
+}
+
+// The theme a die should use: its own prop first, then the nearest provider
+export function useDiceTheme(theme) {
+  const contextTheme = useContext(DiceThemeContext);
+  return theme || contextTheme;
+}
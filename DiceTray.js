@@ -0,0 +1,304 @@
+import React, { forwardRef, useImperativeHandle, useRef, useMemo, useEffect, useState } from "react";
+import D4 from "./D4";
+import D6 from "./D6";
+import D8 from "./D8";
+import D10 from "./D10";
+import D12 from "./D12";
+import D20 from "./D20";
+import D100 from "./D100";
+import { parseNotation, expandDice, summarizeRoll, needsReroll, explodes, MAX_EXPLOSIONS } from "./diceNotation";
+import { RollHistoryProvider, useRollRecorder } from "./RollHistory";
+import { NestedDice, useAnnouncer, rollButtonProps, LiveRegion } from "./diceAccessibility";
+import { partId } from "./RollSync";
+import DiceScene, { useInDiceScene } from "./DiceScene";
+
+const DIE_COMPONENTS = { 4: D4, 6: D6, 8: D8, 10: D10, 12: D12, 20: D20, 100: D100 };
+
+// Short note under a die whose roll needs explaining: "1 → 5", "explodes", "dropped"
+function cellCaption(mark) {
+  if (!mark) return null;
+  const notes = [];
+  if (mark.rolls.length > 1) notes.push(mark.rolls.join(" → "));
+  if (mark.exploded) notes.push("explodes");
+  if (mark.dropped) notes.push("dropped");
+  return notes.length ? notes.join(", ") : null;
+}
+
+// ===== DiceTray: rolls every die in a notation together =====
+// The ref exposes roll() (a promise for the summary), reset() and getResult().
+// Each roll is logged to the roll history once, as the whole notation.
+// Rerolls throw only the matching dice again; explosions add dice to the tray and throw them.
+// A syncId syncs every die in the tray (as `${syncId}:${index}`). When another player's throw
+// arrives, the tray follows it: it waits for each die's replay instead of throwing, and works out
+// rerolls, explosions and the summary from the replayed values, as the roller's tray did.
+// The dice draw into one DiceScene, `columns` to a row of dieSize (or into the DiceScene the tray
+// sits in), since a canvas per die would run past the browser's WebGL context limit.
+// Invalid notation shows its error message in place of the dice.
+function DiceTray(
+  {
+    notation,
+    onRollComplete,
+    dieSize = 160,
+    columns = 6,
+    rollSignal = 0,
+    seed,
+    rng,
+    label,
+    theme,
+    reducedMotion,
+    volume,
+    muted,
+    syncId,
+    lighting,
+  },
+  ref
+) {
+  const history = useRollRecorder();
+  const [announcement, announce] = useAnnouncer();
+  const inScene = useInDiceScene();
+  const [parsed, error] = useMemo(() => {
+    try {
+      return [parseNotation(notation), null];
+    } catch (err) {
+      return [null, err.message];
+    }
+  }, [notation]);
+  const baseDice = useMemo(() => (parsed ? expandDice(parsed) : []), [parsed]);
+  const [extraDice, setExtraDice] = useState([]); // dice added by explosions this roll
+  const [marks, setMarks] = useState(null);       // summary.dice of the last roll, for styling
+  const dice = useMemo(() => [...baseDice, ...extraDice], [baseDice, extraDice]);
+  const dieRefs = useRef([]);
+  const inFlight = useRef(null);   // promise for the roll in flight, null when idle
+  const lastResult = useRef(null);
+  const mounted = useRef(null);    // resolves once newly added dice have rendered
+  const following = useRef(false); // the roll in flight is another player's, replayed
+  const replays = useRef(new Map()); // die index -> replay promises the roll has not taken yet
+  const waiting = useRef(new Map()); // die index -> resolve for the roll waiting on that die
+
+  // a new notation remounts every die, which resolves the abandoned roll with null
+  useEffect(() => {
+    lastResult.current = null;
+    setExtraDice([]);
+    setMarks(null);
+  }, [parsed]);
+
+  useEffect(() => {
+    if (mounted.current) {
+      mounted.current();
+      mounted.current = null;
+    }
+  }, [extraDice]);
+
+  // the next replayed throw of die i, whether it has arrived already or is still to come
+  const nextReplay = (i) =>
+    new Promise((resolve) => {
+      const queued = replays.current.get(i);
+      if (queued && queued.length) resolve(queued.shift());
+      else waiting.current.set(i, resolve);
+    });
+
+  // follow = wait for each die's replay instead of throwing it
+  const startRoll = (follow) => {
+    following.current = follow;
+    replays.current.clear();
+    waiting.current.clear();
+    setExtraDice([]);
+    setMarks(null);
+    const entries = baseDice.map((die) => ({ ...die, rolls: [], exploded: false }));
+    let explosions = 0;
+
+    // throw the given dice; false once any of them is abandoned
+    const throwDice = (indices) =>
+      Promise.all(
+        indices.map((i) => {
+          if (follow) return nextReplay(i);
+          return dieRefs.current[i] ? dieRefs.current[i].roll() : null;
+        })
+      ).then((values) => {
+        if (values.includes(null)) return false;
+        values.forEach((value, k) => {
+          entries[indices[k]].value = value;
+          entries[indices[k]].rolls.push(value);
+        });
+        return true;
+      });
+
+    const rerollMatching = (indices) => {
+      const again = indices.filter((i) =>
+        needsReroll(parsed.groups[entries[i].group], entries[i].value, entries[i].rolls.length - 1)
+      );
+      if (!again.length) return true;
+      return throwDice(again).then((ok) => ok && rerollMatching(again));
+    };
+
+    const addDice = (added) =>
+      new Promise((resolve) => {
+        const first = entries.length;
+        added.forEach((die) => entries.push(die));
+        mounted.current = () => resolve(added.map((_, k) => first + k));
+        setExtraDice(entries.slice(baseDice.length).map(({ sides, sign, group }) => ({ sides, sign, group })));
+      });
+
+    // throw, settle rerolls, then add and throw one die per explosion until none are left
+    const throwRound = (indices) =>
+      throwDice(indices)
+        .then((ok) => ok && rerollMatching(indices))
+        .then((ok) => {
+          if (!ok) return false;
+          const exploding = indices
+            .filter((i) => explodes(parsed.groups[entries[i].group], entries[i].value))
+            .slice(0, MAX_EXPLOSIONS - explosions);
+          if (!exploding.length) return true;
+          explosions += exploding.length;
+          exploding.forEach((i) => (entries[i].exploded = true));
+          const added = exploding.map((i) => ({
+            sides: entries[i].sides,
+            sign: entries[i].sign,
+            group: entries[i].group,
+            rolls: [],
+            exploded: false,
+            fromExplosion: true,
+          }));
+          return addDice(added).then(throwRound);
+        });
+
+    const settled = throwRound(baseDice.map((_, i) => i)).then((ok) => {
+      if (inFlight.current !== settled) return null; // superseded by another player's throw
+      inFlight.current = null;
+      following.current = false;
+      if (!ok) return null;
+
+      const summary = summarizeRoll(parsed, entries);
+      const kept = summary.dice.filter((die) => !die.dropped).map((die) => die.value);
+      const dropped = summary.dice.filter((die) => die.dropped).map((die) => die.value);
+      lastResult.current = summary;
+      setMarks(summary.dice);
+      if (history) {
+        history.add({
+          die: summary.notation,
+          rolls: kept,
+          modifiers: summary.modifiers,
+          value: summary.total,
+          label,
+        });
+      }
+      announce(
+        `${label ? `${label}: ` : ""}${summary.notation} rolled ${summary.total} (${kept.join(", ")}` +
+          `${dropped.length ? `; dropped ${dropped.join(", ")}` : ""})`
+      );
+      if (onRollComplete) {
+        onRollComplete(summary);
+      }
+      return summary;
+    });
+
+    inFlight.current = settled;
+    return settled;
+  };
+
+  const roll = () => {
+    if (!parsed) return Promise.resolve(null);
+    return inFlight.current || startRoll(false);
+  };
+
+  // die i has started replaying another player's throw; the first of a throw starts following it
+  const receiveReplay = (i, finished) => {
+    if (!parsed) return;
+    if (!following.current) startRoll(true);
+    const resolve = waiting.current.get(i);
+    if (resolve) {
+      waiting.current.delete(i);
+      resolve(finished);
+    } else {
+      replays.current.set(i, [...(replays.current.get(i) || []), finished]);
+    }
+  };
+
+  const reset = () => {
+    following.current = false;
+    dice.forEach((_, i) => dieRefs.current[i] && dieRefs.current[i].reset());
+    lastResult.current = null;
+    setExtraDice([]);
+    setMarks(null);
+  };
+
+  useImperativeHandle(ref, () => ({ roll, reset, getResult: () => lastResult.current }));
+
+  useEffect(() => {
+    if (rollSignal) roll();
+  }, [rollSignal]);
+
+  if (error) {
+    return (
+      <div role="alert" style={{ padding: 8, color: "#b00020" }}>
+        {error}
+      </div>
+    );
+  }
+
+  // a D100 takes two slots of the scene
+  const slots = dice.reduce((count, die) => count + (die.sides === 100 ? 2 : 1), 0);
+  const captions = dice
+    .map((_, i) => ({ i, caption: cellCaption(marks && marks[i]) }))
+    .filter(({ caption }) => caption);
+  const diceElements = dice.map((die, i) => {
+    const Die = DIE_COMPONENTS[die.sides];
+    const mark = marks && marks[i];
+    return (
+      <Die
+        key={`${parsed.notation}-${i}`}
+        ref={(el) => (dieRefs.current[i] = el)}
+        seed={partId(seed, i)}
+        syncId={partId(syncId, i)}
+        onReplay={(finished) => receiveReplay(i, finished)}
+        rng={rng}
+        theme={theme}
+        reducedMotion={reducedMotion}
+        volume={volume}
+        muted={muted}
+        lighting={lighting}
+        mark={mark && mark.dropped ? "dropped" : null}
+      />
+    );
+  });
+
+  return (
+    <div
+      style={{ cursor: "pointer" }}
+      onClickCapture={(event) => {
+        // Capture the click so a single die never rolls on its own inside the tray
+        event.stopPropagation();
+        roll();
+      }}
+      {...rollButtonProps(roll, `Roll ${parsed.notation}${label ? `, ${label}` : ""}`)}
+    >
+      <LiveRegion message={announcement} />
+      <RollHistoryProvider history={null}>
+        <NestedDice onActivate={roll}>
+          {inScene ? (
+            diceElements
+          ) : (
+            <DiceScene
+              columns={columns}
+              height={Math.ceil(slots / columns) * dieSize}
+              lighting={lighting}
+            >
+              {diceElements}
+            </DiceScene>
+          )}
+        </NestedDice>
+      </RollHistoryProvider>
+      {captions.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 12, fontSize: 12, opacity: 0.8 }}>
+          {captions.map(({ i, caption }) => (
+            <span key={i}>
+              #{i + 1}: {caption}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default forwardRef(DiceTray);
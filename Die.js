@@ -0,0 +1,553 @@
+import React, { forwardRef, useImperativeHandle, useRef, useEffect, useMemo } from "react";
+import * as THREE from "three";
+import { RoundedBoxGeometry } from "three/examples/jsm/geometries/RoundedBoxGeometry.js";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { OrbitControls } from "@react-three/drei";
+import { getDieDefinition } from "./diceRegistry";
+import { makeNumberAtlas, makePipAtlas, makeSpriteAtlas, makeFaceLabel, faceEntryLabel, faceEntryValue } from "./diceTextures";
+import { useSharedResource } from "./diceResources";
+import {
+  createDieBody,
+  throwDieBody,
+  stepDieBody,
+  isDieBodyAtRest,
+  nudgeDieBody,
+  FLOOR_Y,
+  WALL_HALF_SIZE,
+  PHYSICS_CAMERA_POSITION,
+} from "./dicePhysics";
+import useDiceRoll from "./useDiceRoll";
+import { RollOutcomeEffect, DieMark } from "./diceEffects";
+import { useRollRecorder } from "./RollHistory";
+import { useDiceTheme } from "./DiceThemeProvider";
+import { useDiceSound } from "./DiceAudioProvider";
+import { useRollSync } from "./RollSync";
+import { useSceneSlot } from "./DiceScene";
+import { MAX_FRAME_DELTA, RenderOnChange, useOnScreen } from "./diceRendering";
+import { useDragThrow, useShakeToRoll } from "./diceInput";
+import { DiceTable, TableLights } from "./diceTable";
+import { createRng } from "./rng";
+import { themeForDie } from "./diceThemes";
+import { rollOutcome } from "./diceEffects";
+import {
+  useReducedMotion,
+  useIsNestedDie,
+  useNestedActivate,
+  useAnnouncer,
+  rollButtonProps,
+  LiveRegion,
+  outcomeSuffix,
+  visuallyHidden,
+} from "./diceAccessibility";
+
+const GRAVITY = -9.8;
+const SETTLE_ANGLE = 0.02; // radians; close enough to the target face to call the roll settled
+const REST_EPSILON = 0.001; // below this the settling die snaps home and stops asking for frames
+const MIN_BOUNCE_SPEED = 0.5; // slower floor contacts just stop the fall, so a resting die makes no sound
+const ORIGIN = new THREE.Vector3(0, 0, 0);
+const OFFSCREEN_STEP_MS = 1000 / 60; // physics steps while the canvas draws nothing
+// A DiceScene's one camera looks straight ahead; a physics die's slot is tilted towards it as far
+// as the die's own camera looks down, so the face it reads is the one on top
+const PHYSICS_SLOT_TILT = Math.atan2(PHYSICS_CAMERA_POSITION[1], PHYSICS_CAMERA_POSITION[2]);
+
+// distance from the die's centre to its farthest corner
+function boundingRadius(geometry) {
+  if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+  return geometry.boundingSphere.radius;
+}
+
+// ===== Die mesh: scripted tumble (or rigid-body throw), then settle on the target face =====
+function DieMesh({
+  definition,
+  geometry,
+  material,
+  labels,
+  rolling,
+  targetQuaternion,
+  rollDirection,
+  rollSpin,
+  throwSeed,
+  resetSignal,
+  initialQuaternion,
+  physics,
+  onTable,
+  instant,
+  onRest,
+  onSettle,
+  onImpact,
+  children,
+}) {
+  const meshRef = useRef();
+  const followRef = useRef();
+  const velocity = useRef(new THREE.Vector3());
+  const pos = useRef(new THREE.Vector3(0, 0, 0));
+  const restReported = useRef(false);
+  const settleReported = useRef(false);
+  const invalidate = useThree((state) => state.invalidate);
+  const offscreen = useThree((state) => state.frameloop === "never");
+
+  // rigid body for physics rolls, built from the same geometry that is rendered
+  const body = useMemo(() => createDieBody(geometry), [geometry]);
+  // scripted rolls keep the die's centre this far from the floor and walls so no corner goes through
+  const clearance = useMemo(() => boundingRadius(geometry), [geometry]);
+
+  // where the die sits when it is not rolling: on the middle of the floor with a table, otherwise
+  // in mid-air at the origin, where the plain camera looks
+  const homeFor = (quaternion) => {
+    if (!onTable) return ORIGIN;
+    let lowest = 0;
+    for (const v of body.vertices) {
+      lowest = Math.min(lowest, v.clone().applyQuaternion(quaternion).y);
+    }
+    return new THREE.Vector3(0, FLOOR_Y - lowest, 0);
+  };
+  const home = useMemo(
+    () => homeFor(targetQuaternion || initialQuaternion),
+    [targetQuaternion, initialQuaternion, onTable, body]
+  );
+
+  // reset to start each roll
+  useEffect(() => {
+    const start = homeFor(initialQuaternion);
+    pos.current.copy(start);
+    velocity.current.set(rollDirection[0] * 3, rollDirection[1] * 4, rollDirection[2] * 3);
+    restReported.current = false;
+    // a physics throw leaves the hand in an orientation drawn from the roll's seed
+    const startQuaternion = physics
+      ? throwDieBody(body, rollDirection, rollSpin, createRng(throwSeed))
+      : initialQuaternion;
+    if (meshRef.current) {
+      meshRef.current.position.copy(physics ? body.position : start);
+      meshRef.current.quaternion.copy(startQuaternion);
+    }
+    invalidate();
+  }, [resetSignal, rollDirection, rollSpin, throwSeed, initialQuaternion, physics, onTable, body]);
+
+  useEffect(() => {
+    settleReported.current = false;
+  }, [targetQuaternion, resetSignal]);
+
+  // each phase change needs a first frame; useFrame keeps them coming from there
+  useEffect(() => {
+    invalidate();
+  }, [rolling, targetQuaternion]);
+
+  // true rigid-body tumble; the roll hook reads the result once the die comes to rest
+  const stepPhysics = (delta) => {
+    stepDieBody(body, delta);
+    if (meshRef.current) {
+      meshRef.current.position.copy(body.position);
+      meshRef.current.quaternion.copy(body.quaternion);
+    }
+    if (body.impactSpeed > 0) {
+      onImpact(body.impactSpeed / 6);
+      body.impactSpeed = 0;
+    }
+    if (!restReported.current && isDieBodyAtRest(body)) {
+      if (onRest(body.quaternion.clone())) {
+        restReported.current = true;
+      } else {
+        nudgeDieBody(body); // landed cocked, as a table would call it
+      }
+    }
+  };
+  const stepPhysicsRef = useRef(stepPhysics);
+  stepPhysicsRef.current = stepPhysics;
+
+  // a canvas out of view runs no frames, but a physics roll in flight still has to land
+  useEffect(() => {
+    if (!offscreen || !rolling || !physics) return undefined;
+    let last = performance.now();
+    const timer = setInterval(() => {
+      const now = performance.now();
+      stepPhysicsRef.current(Math.min((now - last) / 1000, MAX_FRAME_DELTA));
+      last = now;
+    }, OFFSCREEN_STEP_MS);
+    return () => clearInterval(timer);
+  }, [offscreen, rolling, physics]);
+
+  useFrame((state, frameDelta) => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const delta = Math.min(frameDelta, MAX_FRAME_DELTA);
+    // the canvas only draws on request: ask for the next frame while the die is moving
+    if (rolling) state.invalidate();
+
+    if (rolling && physics) {
+      stepPhysics(delta);
+    } else if (rolling) {
+      velocity.current.y += GRAVITY * delta * 0.6;
+      pos.current.addScaledVector(velocity.current, delta);
+
+      // bounce off the floor, and never fall through it however gently the die was thrown
+      if (pos.current.y < FLOOR_Y + clearance) {
+        pos.current.y = FLOOR_Y + clearance;
+        if (velocity.current.y < -MIN_BOUNCE_SPEED) {
+          onImpact(-velocity.current.y / 6);
+          velocity.current.y *= -definition.bounceDamping;
+        } else {
+          velocity.current.y = Math.max(0, velocity.current.y);
+        }
+      }
+
+      // and off the walls every time, so a hard throw stays in frame
+      const limit = WALL_HALF_SIZE - clearance;
+      for (const axis of ["x", "z"]) {
+        if (Math.abs(pos.current[axis]) > limit) {
+          onImpact(Math.abs(velocity.current[axis]) / 6);
+          pos.current[axis] = Math.sign(pos.current[axis]) * limit;
+          velocity.current[axis] *= -definition.bounceDamping;
+        }
+      }
+      mesh.position.copy(pos.current);
+
+      const { base, range } = definition.spin;
+      mesh.rotation.x += delta * (base[0] + rollSpin[0] * range[0]);
+      mesh.rotation.y += delta * (base[1] + rollSpin[1] * range[1]);
+      mesh.rotation.z += delta * (base[2] + rollSpin[2] * range[2]);
+      mesh.quaternion.setFromEuler(mesh.rotation);
+    } else if (targetQuaternion) {
+      if (instant) {
+        // reduced motion: no turn, just show the face
+        mesh.quaternion.copy(targetQuaternion);
+        mesh.position.copy(home);
+      } else {
+        // Smoothly rotate to the final face after the roll
+        mesh.quaternion.slerp(targetQuaternion, Math.min(1, delta * 6));
+        mesh.position.lerp(home, Math.min(1, delta * 3));
+      }
+
+      if (!settleReported.current && mesh.quaternion.angleTo(targetQuaternion) < SETTLE_ANGLE) {
+        settleReported.current = true;
+        onSettle();
+      }
+
+      if (mesh.quaternion.angleTo(targetQuaternion) > REST_EPSILON || mesh.position.distanceTo(home) > REST_EPSILON) {
+        state.invalidate();
+      } else {
+        mesh.quaternion.copy(targetQuaternion);
+        mesh.position.copy(home);
+      }
+    }
+
+    // children (the outcome burst) go wherever the die went, without turning with it
+    if (followRef.current) followRef.current.position.copy(mesh.position);
+  });
+
+  // overlay labels are children, so they follow the die without per-frame copying
+  return (
+    <>
+      <mesh ref={meshRef} geometry={geometry} material={material} castShadow>
+        {labels.map((label, i) => (
+          <primitive key={i} object={label} />
+        ))}
+      </mesh>
+      <group ref={followRef}>{children}</group>
+    </>
+  );
+}
+
+// ===== Main Die component: any registered die, D4–D20 =====
+// The ref exposes roll(), rollTo(value), reset() and getResult() for programmatic control.
+// Lifecycle callbacks onRollStart / onBounce / onSettle / onRollComplete get a result object
+// (see useDiceRoll.js); onRollComplete fires only once the face has really reached the camera.
+// Pass `value` (plus onRequestRoll, and rollId to repeat a value) to have results decided elsewhere.
+// critOn / fumbleOn switch on crit detection: onCritical / onFumble plus a glow and spark burst.
+// Every settled roll is logged to the roll history, tagged with `label` if given.
+// `theme` (a preset name or object) overrides the surrounding DiceThemeProvider.
+// `faces` replaces the numbers with custom content, one entry per face (see diceTextures.js).
+// D6 only: faceStyle="pips" (with pipColor, pipSize, pipStyle) and `rounded` corners.
+// Keyboard operable (Enter / Space) with the result announced to screen readers; reducedMotion
+// (default: the user's prefers-reduced-motion setting) shows results without the tumble.
+// Throw, bounce and settle sounds follow volume / muted and the surrounding DiceAudioProvider.
+// With a syncId inside a RollSyncProvider, throws are broadcast to and replayed from other players;
+// onReplay gets the promise for each replayed roll's value as it starts.
+// Inside a DiceScene the die draws into the scene's shared canvas instead of its own; height and
+// table then have no effect.
+// The canvas only draws while something moves, and not at all while scrolled out of view.
+// Drag and release to throw with the gesture's direction and speed (dragToThrow={false} turns it
+// off); shakeToRoll rolls when a phone is shaken (see requestMotionPermission in diceInput.js).
+// `table` ("felt", "wood", "stone" or an object, see diceTable.js) draws a tray with walls and
+// shadows under the die; `lighting` picks a lighting preset (default "studio").
+// `mark` ("kept" or "dropped") is set by groups that keep some of their dice (see DieMark).
+function Die(
+  {
+    sides,
+    variant,
+    onRollStart,
+    onBounce,
+    onSettle,
+    onRollComplete,
+    rollSignal = 0,
+    height = 400,
+    physics = false,
+    seed,
+    rng,
+    value,
+    rollId,
+    onRequestRoll,
+    critOn,
+    fumbleOn,
+    onCritical,
+    onFumble,
+    label,
+    theme,
+    faces,
+    faceStyle = "numbers",
+    pipColor,
+    pipSize,
+    pipStyle,
+    rounded = false,
+    reducedMotion,
+    volume,
+    muted,
+    syncId,
+    onReplay,
+    dragToThrow = true,
+    shakeToRoll = false,
+    table,
+    lighting = "studio",
+    mark = null,
+  },
+  ref
+) {
+  const definition = useMemo(() => getDieDefinition(sides), [sides]);
+  const history = useRollRecorder();
+  const nested = useIsNestedDie();
+  const activateComposite = useNestedActivate();
+  const frameRef = useRef(null);
+  const onScreen = useOnScreen(frameRef); // dice scrolled out of view stop drawing
+  const reduceMotion = useReducedMotion(reducedMotion);
+  const [announcement, announce] = useAnnouncer();
+  const sound = useDiceSound(sides, { volume, muted });
+  const broadcast = useRollSync(syncId, `d${sides}`, (message) => {
+    if (message.die !== `d${sides}`) return;
+    if (message.type === "settled") {
+      dice.pinReplay(message);
+      return;
+    }
+    const finished = dice.replayRoll(message);
+    if (onReplay) onReplay(finished);
+  });
+
+  if (faces && faces.length !== definition.sides) {
+    throw new Error(`d${definition.sides} needs ${definition.sides} faces, got ${faces.length}`);
+  }
+  const facesKey = faces ? JSON.stringify(faces) : "";
+  if ((faceStyle === "pips" || rounded) && definition.sides !== 6) {
+    throw new Error(`Pip faces and rounded corners are only available on the d6, not d${definition.sides}`);
+  }
+  if (faceStyle === "pips" && faces) {
+    throw new Error('faces and faceStyle="pips" cannot be combined');
+  }
+
+  // custom faces report their own value (default: face index + 1) and label
+  const faceValue = (i) => {
+    const custom = faces ? faceEntryValue(faces[i]) : undefined;
+    return custom !== undefined ? custom : definition.faceValue(i, variant);
+  };
+  const faceLabel = (i) => (faces ? faceEntryLabel(faces[i]) : definition.faceLabel(i, variant));
+  const faceContentAt = (i) => (faces ? faces[i] : definition.faceLabel(i, variant));
+
+  const handleRollComplete = (result) => {
+    sound.playSettle();
+    if (history) history.add({ die: result.dieType, rolls: [result.value], value: result.value, label });
+    if (!nested) {
+      const outcome = rollOutcome(result.value, { critOn, fumbleOn });
+      announce(`${label ? `${label}: ` : ""}${result.dieType} rolled ${result.label}${outcomeSuffix(outcome)}`);
+    }
+    if (onRollComplete) onRollComplete(result);
+  };
+
+  const handleImpact = (strength) => {
+    sound.playClack(strength);
+    dice.handleImpact(strength);
+  };
+
+  const dice = useDiceRoll(definition, {
+    onRollStart,
+    onBounce,
+    onSettle,
+    onRollComplete: handleRollComplete,
+    rollSignal,
+    physics,
+    seed,
+    rng,
+    variant,
+    value,
+    rollId,
+    onRequestRoll,
+    critOn,
+    fumbleOn,
+    onCritical,
+    onFumble,
+    faceValue,
+    faceLabel,
+    reducedMotion: reduceMotion,
+    onThrow: broadcast.onThrow,
+    onLand: broadcast.onLand,
+  });
+
+  useEffect(() => {
+    if (dice.rolling) sound.playThrow();
+  }, [dice.rolling]);
+
+  // composites roll all their dice together, so their inner dice take no gestures of their own
+  const { style: dragStyle, ...dragHandlers } = useDragThrow(dice.throwRoll, dragToThrow && !nested);
+  useShakeToRoll(dice.throwRoll, shakeToRoll && !nested);
+
+  useImperativeHandle(ref, () => ({
+    roll: dice.requestRoll,
+    rollTo: dice.rollTo,
+    reset: dice.reset,
+    getResult: dice.getResult,
+  }));
+
+  // rounded={true} uses a 0.1 corner radius; a number sets it (the cube is 1 across)
+  const cornerRadius = rounded === true ? 0.1 : rounded || 0;
+  const geometry = useSharedResource(`geometry:d${sides}:${cornerRadius}`, () =>
+    cornerRadius ? new RoundedBoxGeometry(1, 1, 1, 4, cornerRadius) : definition.createGeometry()
+  );
+
+  // theme objects are often written inline, so compare them by content
+  const themeSource = useDiceTheme(theme);
+  const themeKey = typeof themeSource === "string" ? themeSource : JSON.stringify(themeSource);
+  const look = useMemo(() => themeForDie(themeSource, definition), [themeKey, definition]);
+
+  // everything below is shared between dice with the same look, so the key spells that look out
+  const lookKey = JSON.stringify([sides, variant, look, facesKey, faceStyle, pipColor, pipSize, pipStyle]);
+  const faceContents = () => definition.faces.map((face, i) => faceContentAt(i));
+  // a D4 face carries its neighbours' contents, one along each edge
+  const edgeContents = () => definition.faces.map((face) => face.edges.map((edge) => faceContentAt(edge.neighbour)));
+
+  // textured dice get one material per face, all cut from one atlas; overlay dice a plain body
+  const material = useSharedResource(`material:${lookKey}`, () => {
+    if (definition.labelMode !== "texture") {
+      return new THREE.MeshStandardMaterial({ color: look.color, ...look.material });
+    }
+    const textures =
+      faceStyle === "pips"
+        ? makePipAtlas([1, 2, 3, 4, 5, 6], { bgcolor: look.color, fg: pipColor || look.number, pipSize, pipStyle })
+        : makeNumberAtlas(definition.texture.layout === "edges" ? edgeContents() : faceContents(), {
+            ...definition.texture,
+            bgcolor: look.color,
+            fg: look.number,
+            outline: look.outline,
+          });
+    return textures.map((map) => new THREE.MeshStandardMaterial({ map, ...look.material, side: THREE.FrontSide }));
+  });
+
+  // overlay dice: one shared plane and one sprite material per face; each die only adds meshes
+  const labelParts = useSharedResource(`labels:${lookKey}`, () => {
+    if (definition.labelMode !== "overlay") return null;
+    const sprite = { ...definition.label.sprite, fg: look.number, outline: look.outline };
+    return {
+      geometry: new THREE.PlaneGeometry(definition.label.scale, definition.label.scale),
+      materials: makeSpriteAtlas(faceContents(), sprite).map(
+        (map) => new THREE.MeshBasicMaterial({ map, transparent: true, side: THREE.DoubleSide })
+      ),
+    };
+  });
+
+  const labels = useMemo(() => {
+    if (!labelParts) return [];
+    return definition.faces.map((face, i) =>
+      makeFaceLabel(face, { geometry: labelParts.geometry, material: labelParts.materials[i] }, definition.label)
+    );
+  }, [definition, labelParts]);
+
+  const stage = (
+    <DieMesh
+      definition={definition}
+      geometry={geometry}
+      material={material}
+      labels={labels}
+      rolling={dice.rolling}
+      targetQuaternion={dice.targetQuaternion}
+      rollDirection={dice.rollDirection}
+      rollSpin={dice.rollSpin}
+      throwSeed={dice.throwSeed}
+      resetSignal={dice.resetSignal}
+      initialQuaternion={dice.initialQuaternion}
+      physics={dice.physicsRoll}
+      onTable={Boolean(table)}
+      instant={reduceMotion}
+      onRest={dice.handleRest}
+      onSettle={dice.handleSettle}
+      onImpact={handleImpact}
+    >
+      {dice.outcome && (
+        <RollOutcomeEffect key={dice.resetSignal} outcome={dice.outcome} reducedMotion={reduceMotion} />
+      )}
+      <DieMark mark={mark} radius={boundingRadius(geometry)} />
+    </DieMesh>
+  );
+
+  // in a shared scene a click on the mesh stands in for a click on this die's own canvas
+  const inScene = useSceneSlot(
+    <group
+      rotation={[physics ? PHYSICS_SLOT_TILT : 0, 0, 0]}
+      onClick={(event) => {
+        event.stopPropagation();
+        if (nested) {
+          if (activateComposite) activateComposite();
+        } else {
+          dice.requestRoll();
+        }
+      }}
+    >
+      {stage}
+    </group>
+  );
+
+  if (inScene) {
+    // nothing to lay out; keep the announcements and a focusable control for keyboard users
+    return nested ? null : (
+      <>
+        <LiveRegion message={announcement} />
+        <span
+          style={visuallyHidden}
+          {...rollButtonProps(dice.requestRoll, `Roll d${sides}${label ? `, ${label}` : ""}`, dice.rolling)}
+        />
+      </>
+    );
+  }
+
+  return (
+    <div ref={frameRef} style={{ width: "100%", height }}>
+      {!nested && <LiveRegion message={announcement} />}
+      <div
+        style={{ width: "100%", height: "100%", margin: "0 auto", ...dragStyle }}
+        onClick={() => dice.requestRoll()}
+        {...dragHandlers}
+        {...(nested ? {} : rollButtonProps(dice.requestRoll, `Roll d${sides}${label ? `, ${label}` : ""}`, dice.rolling))}
+      >
+        <Canvas
+          camera={{ position: physics ? PHYSICS_CAMERA_POSITION : [0, 0, 4], fov: 50 }}
+          frameloop={onScreen ? "demand" : "never"}
+          shadows={Boolean(table)}
+        >
+          <RenderOnChange deps={[onScreen]} />
+          <TableLights lighting={lighting} base={definition.lights} shadows={Boolean(table)} />
+
+          {table ? (
+            <DiceTable table={table} />
+          ) : (
+            /* Invisible floor */
+            <mesh position={[0, FLOOR_Y, 0]} visible={false}>
+              <boxGeometry args={[5, 0.1, 5]} />
+              <meshBasicMaterial transparent opacity={0} />
+            </mesh>
+          )}
+
+          {stage}
+
+          {/* Disable all camera interaction */}
+          <OrbitControls enableZoom={false} enablePan={false} enableRotate={false} />
+        </Canvas>
+      </div>
+    </div>
+  );
+}
+
+export default forwardRef(Die);
@@ -0,0 +1,106 @@
+import React, { createContext, useContext, useMemo, useRef, useSyncExternalStore } from "react";
+import { createRollHistory } from "./historyStore";
+
+// ===== Roll history context =====
+// Dice record into the nearest provider's store, or into a shared default store without one.
+// Composite dice (D100, advantage pairs, DiceTray) provide null to their inner dice so only
+// the combined result is logged.
+const defaultHistory = createRollHistory();
+
+export const RollHistoryContext = createContext(defaultHistory);
+
+export function RollHistoryProvider({ history, children }) {
+  return <RollHistoryContext.Provider value={history}>{children}</RollHistoryContext.Provider>;
+}
+
+// The store dice should record into (null when recording is switched off)
+export function useRollRecorder() {
+  return useContext(RollHistoryContext);
+}
+
+// Live list of entries, oldest first
+export function useRollHistory(history) {
+  const contextHistory = useContext(RollHistoryContext);
+  const store = history || contextHistory || defaultHistory;
+  return useSyncExternalStore(store.subscribe, store.getEntries, store.getEntries);
+}
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// "2d6+3 (4, 5, +3) = 12"
+function describeEntry(entry) {
+  const parts = [...entry.rolls.map(String), ...entry.modifiers.map((m) => (m < 0 ? String(m) : `+${m}`))];
+  const breakdown = parts.length > 1 ? ` (${parts.join(", ")})` : "";
+  return `${entry.die}${breakdown} = ${entry.value}`;
+}
+
+const buttonStyle = { marginRight: 6, padding: "2px 8px", cursor: "pointer" };
+
+// ===== RollHistory: newest-first log with export / import / clear =====
+export default function RollHistory({ history, limit = 50, filename = "roll-history" }) {
+  const contextHistory = useContext(RollHistoryContext);
+  const store = history || contextHistory || defaultHistory;
+  const entries = useRollHistory(store);
+  const fileInput = useRef();
+
+  const shown = useMemo(() => entries.slice(-limit).reverse(), [entries, limit]);
+
+  const importFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    file.text().then((text) => {
+      try {
+        // CSV by extension, otherwise JSON
+        if (/\.csv$/i.test(file.name)) store.importCSV(text);
+        else store.importJSON(text);
+      } catch (e) {
+        window.alert(e.message);
+      }
+    }).catch((e) => window.alert(`Could not read ${file.name}: ${e.message}`));
+  };
+
+  return (
+    <div style={{ fontFamily: "sans-serif", fontSize: 14 }}>
+      <div style={{ marginBottom: 8 }}>
+        <button style={buttonStyle} onClick={() => download(`${filename}.json`, store.exportJSON(), "application/json")}>
+          Export JSON
+        </button>
+        <button style={buttonStyle} onClick={() => download(`${filename}.csv`, store.exportCSV(), "text/csv")}>
+          Export CSV
+        </button>
+        <button style={buttonStyle} onClick={() => fileInput.current.click()}>
+          Import
+        </button>
+        <button style={buttonStyle} onClick={() => store.clear()}>
+          Clear
+        </button>
+        <input ref={fileInput} type="file" accept=".json,.csv" style={{ display: "none" }} onChange={importFile} />
+      </div>
+
+      {shown.length === 0 ? (
+        <div style={{ opacity: 0.6 }}>No rolls yet.</div>
+      ) : (
+        <ol reversed style={{ margin: 0, paddingLeft: 24 }}>
+          {shown.map((entry) => (
+            <li key={entry.id}>
+              <span style={{ opacity: 0.6 }}>{formatTime(entry.timestamp)}</span>{" "}
+              {entry.label && <strong>{entry.label}: </strong>}
+              {describeEntry(entry)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { createContext, useContext, useEffect, useMemo, useRef } from "react";
+import { createRollMessage, createSettledMessage } from "./rollProtocol";
+
+// ===== Roll sync: mirror throws between browsers over a transport =====
+// Dice with a syncId broadcast each throw they make and replay throws made on the same syncId
+// elsewhere. Every browser at the table should render the same syncIds. Composite dice sync
+// through their parts, which get the ids `${syncId}:${part}` (see usePartReplays below).
+const RollSyncContext = createContext(null);
+
+// A throw for a die that is not mounted yet waits this long for it: a tray adds dice for
+// explosions as they happen, and the roller's may be thrown before ours have appeared
+const HOLD_MS = 3000;
+
+export default function RollSyncProvider({ transport, rollerId, children }) {
+  const dice = useRef(new Map()); // syncId -> replay handler
+  const held = useRef([]);        // { message, until } for syncIds nobody has registered
+
+  useEffect(
+    () =>
+      transport.subscribe((message) => {
+        if (message.rollerId === rollerId) return; // our own throw, echoed back
+        const replay = dice.current.get(message.dieId);
+        if (replay) {
+          replay(message);
+        } else {
+          const now = Date.now();
+          held.current = held.current.filter((entry) => entry.until > now);
+          held.current.push({ message, until: now + HOLD_MS });
+        }
+      }),
+    [transport, rollerId]
+  );
+
+  const sync = useMemo(
+    () => ({
+      rollerId,
+      send: (message) => transport.send(message),
+      register(syncId, replay) {
+        dice.current.set(syncId, replay);
+        const now = Date.now();
+        const waiting = held.current.filter((entry) => entry.message.dieId === syncId && entry.until > now);
+        held.current = held.current.filter((entry) => entry.message.dieId !== syncId && entry.until > now);
+        waiting.forEach((entry) => replay(entry.message));
+        return () => {
+          if (dice.current.get(syncId) === replay) dice.current.delete(syncId);
+        };
+      },
+    }),
+    [transport, rollerId]
+  );
+
+  return <RollSyncContext.Provider value={sync}>{children}</RollSyncContext.Provider>;
+}
+
+// For one die: registers `replay` for incoming messages (throws, and the settled results of physics
+// throws) and returns { onThrow, onLand }, the handlers that broadcast local ones. Does nothing
+// without a provider or a syncId.
+export function useRollSync(syncId, die, replay) {
+  const sync = useContext(RollSyncContext);
+  const replayRef = useRef(replay);
+  replayRef.current = replay;
+
+  useEffect(() => {
+    if (!sync || !syncId) return undefined;
+    return sync.register(syncId, (message) => {
+      try {
+        replayRef.current(message);
+      } catch (e) {
+        // a well-formed message this die cannot play, e.g. a result it has no face for
+        console.warn(`Roll sync: ${syncId} cannot play a ${message.type} message from ${message.rollerId}`, e);
+      }
+    });
+  }, [sync, syncId]);
+
+  const active = Boolean(sync && syncId);
+  return {
+    onThrow: ({ seed, direction, spin, physics, result, replay: isReplay }) => {
+      if (!active || isReplay) return;
+      sync.send(createRollMessage({ rollerId: sync.rollerId, dieId: syncId, die, seed, direction, spin, physics, result }));
+    },
+    // a local physics throw has come to rest
+    onLand: ({ seed, result }) => {
+      if (!active) return;
+      sync.send(createSettledMessage({ rollerId: sync.rollerId, dieId: syncId, die, seed, result }));
+    },
+  };
+}
+
+// Id for one part of a composite die, for its seed or its syncId
+export function partId(id, part) {
+  return id === undefined ? undefined : `${id}:${part}`;
+}
+
+// For a composite die: a replayed throw reaches its parts one message at a time. Each part reports
+// its replay here with the promise for its value; onReplay(promises) gets one promise per part as
+// soon as the first arrives, in the order of `parts`, to settle the composite roll on.
+export function usePartReplays(parts, onReplay) {
+  const collecting = useRef(null); // part -> resolve, for the parts of this throw still to come
+
+  return (part, finished) => {
+    // a part that already reported belongs to the next throw
+    if (!collecting.current || !collecting.current.has(part)) {
+      const resolvers = new Map();
+      onReplay(parts.map((p) => new Promise((resolve) => resolvers.set(p, resolve))));
+      collecting.current = resolvers;
+    }
+    collecting.current.get(part)(finished);
+    collecting.current.delete(part);
+    if (!collecting.current.size) collecting.current = null;
+  };
+}
@@ -0,0 +1,107 @@
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+
+// ===== Accessibility helpers shared by every die =====
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+const mediaQuery = () =>
+  typeof window !== "undefined" && window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+
+// The user's prefers-reduced-motion setting, kept live; a boolean override wins when given
+export function useReducedMotion(override) {
+  const [prefersReduced, setPrefersReduced] = useState(() => {
+    const query = mediaQuery();
+    return query ? query.matches : false;
+  });
+
+  useEffect(() => {
+    const query = mediaQuery();
+    if (!query) return undefined;
+    const onChange = (event) => setPrefersReduced(event.matches);
+    // older Safari only has addListener
+    if (query.addEventListener) query.addEventListener("change", onChange);
+    else query.addListener(onChange);
+    return () => {
+      if (query.removeEventListener) query.removeEventListener("change", onChange);
+      else query.removeListener(onChange);
+    };
+  }, []);
+
+  return override !== undefined ? override : prefersReduced;
+}
+
+// Dice inside a composite (D100, advantage pair, DiceTray) leave focus and announcements to it.
+// onActivate rolls the whole composite, for dice that are clicked directly (e.g. in a DiceScene).
+const NestedDiceContext = createContext(null);
+
+export function NestedDice({ onActivate, children }) {
+  const value = useMemo(() => ({ onActivate }), [onActivate]);
+  return <NestedDiceContext.Provider value={value}>{children}</NestedDiceContext.Provider>;
+}
+
+export function useIsNestedDie() {
+  return useContext(NestedDiceContext) !== null;
+}
+
+// The enclosing composite's roll, or null outside one
+export function useNestedActivate() {
+  const nested = useContext(NestedDiceContext);
+  return nested && nested.onActivate ? nested.onActivate : null;
+}
+
+// Props that make a plain div behave like a button: focusable, Enter / Space to activate
+export function rollButtonProps(onActivate, label, busy) {
+  return {
+    role: "button",
+    tabIndex: 0,
+    "aria-label": label,
+    "aria-busy": busy || undefined,
+    onKeyDown: (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault(); // keep Space from scrolling the page
+        onActivate();
+      }
+    },
+  };
+}
+
+// Message for a polite live region; a repeated message is still read out
+export function useAnnouncer() {
+  const [message, setMessage] = useState("");
+  const toggle = useRef(false);
+
+  const announce = (text) => {
+    toggle.current = !toggle.current;
+    // screen readers ignore an unchanged region, so alternate a trailing no-break space
+    setMessage(toggle.current ? text : `${text} `);
+  };
+
+  return [message, announce];
+}
+
+export const visuallyHidden = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+export function LiveRegion({ message }) {
+  return (
+    <div aria-live="polite" aria-atomic="true" style={visuallyHidden}>
+      {message}
+    </div>
+  );
+}
+
+// ", critical!" / ", fumble!" suffix for announcements
+export function outcomeSuffix(outcome) {
+  if (outcome === "critical") return ", critical!";
+  if (outcome === "fumble") return ", fumble!";
+  return "";
+}
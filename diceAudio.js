@@ -0,0 +1,95 @@
+// ===== Dice sounds, synthesised with Web Audio (no audio files) =====
+// throw: a filtered noise whoosh; clack: a short noisy click with a wooden ring; settle: two soft ticks.
+// pitch scales every frequency, so small dice sound higher than big ones.
+
+let audioContext = null;
+let noiseBuffer = null;
+
+function getContext() {
+  if (audioContext) return audioContext;
+  const AudioContextClass = typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return null;
+  audioContext = new AudioContextClass();
+  return audioContext;
+}
+
+// browsers start the context suspended until a user gesture; rolls are usually one
+function ready() {
+  const ctx = getContext();
+  if (ctx && ctx.state === "suspended") ctx.resume();
+  return ctx;
+}
+
+// one second of white noise, shared by every sound
+function noiseSource(ctx) {
+  if (!noiseBuffer) {
+    noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  }
+  const source = ctx.createBufferSource();
+  source.buffer = noiseBuffer;
+  return source;
+}
+
+// gain node that swells to `peak` and dies away, wired to the speakers
+function envelope(ctx, start, peak, attack, decay) {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(Math.max(peak, 0.0002), start + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + attack + decay);
+  gain.connect(ctx.destination);
+  return gain;
+}
+
+// Smaller dice are pitched higher
+const DIE_PITCH = { 4: 1.35, 6: 1.2, 8: 1.15, 10: 1.05, 12: 0.95, 20: 0.85, 100: 1.05 };
+
+export function pitchForDie(sides) {
+  return DIE_PITCH[sides] || 1;
+}
+
+export function playThrow({ volume = 0.5, pitch = 1 } = {}) {
+  const ctx = ready();
+  if (!ctx || volume <= 0) return;
+  const now = ctx.currentTime;
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = "bandpass";
+  filter.Q.value = 1.2;
+  filter.frequency.setValueAtTime(600 * pitch, now);
+  filter.frequency.exponentialRampToValueAtTime(2400 * pitch, now + 0.25);
+
+  const source = noiseSource(ctx);
+  source.connect(filter).connect(envelope(ctx, now, 0.3 * volume, 0.05, 0.25));
+  source.start(now);
+  source.stop(now + 0.35);
+}
+
+// strength 0–1 scales the loudness (a hard hit clacks louder than a roll-over)
+export function playClack({ volume = 0.5, pitch = 1, strength = 1, delay = 0 } = {}) {
+  const ctx = ready();
+  if (!ctx || volume <= 0) return;
+  const start = ctx.currentTime + delay;
+  const level = volume * Math.min(1, Math.max(0.1, strength));
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = "highpass";
+  filter.frequency.value = 2000 * pitch;
+  const noise = noiseSource(ctx);
+  noise.connect(filter).connect(envelope(ctx, start, 0.6 * level, 0.002, 0.05));
+  noise.start(start);
+  noise.stop(start + 0.08);
+
+  const ring = ctx.createOscillator();
+  ring.type = "triangle";
+  ring.frequency.value = 1700 * pitch;
+  ring.connect(envelope(ctx, start, 0.25 * level, 0.002, 0.08));
+  ring.start(start);
+  ring.stop(start + 0.1);
+}
+
+export function playSettle({ volume = 0.5, pitch = 1 } = {}) {
+  playClack({ volume, pitch: pitch * 0.8, strength: 0.35 });
+  playClack({ volume, pitch: pitch * 0.8, strength: 0.2, delay: 0.09 });
+}
@@ -0,0 +1,114 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { MAX_FRAME_DELTA } from "./diceRendering";
+
+// ===== Critical / fumble detection =====
+// critOn and fumbleOn are thresholds (crit on 19 means 19–20); null or undefined turns a check off.
+export function rollOutcome(value, { critOn, fumbleOn } = {}) {
+  if (value === null || value === undefined) return null;
+  if (critOn !== null && critOn !== undefined && value >= critOn) return "critical";
+  if (fumbleOn !== null && fumbleOn !== undefined && value <= fumbleOn) return "fumble";
+  return null;
+}
+
+const OUTCOME_COLORS = { critical: "#ffd54f", fumble: "#d32f2f" };
+const BURST_DURATION = 1.2; // seconds
+const PARTICLE_COUNT = 48;
+const GLOW_PEAK = 4;
+const GLOW_REST = 0.8;    // the die keeps a soft glow until the next roll
+
+// evenly spread directions (Fibonacci sphere), so every burst looks the same
+function burstDirections(count) {
+  const directions = new Float32Array(count * 3);
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < count; i++) {
+    const y = 1 - (2 * (i + 0.5)) / count;
+    const r = Math.sqrt(1 - y * y);
+    directions[i * 3] = Math.cos(golden * i) * r;
+    directions[i * 3 + 1] = y;
+    directions[i * 3 + 2] = Math.sin(golden * i) * r;
+  }
+  return directions;
+}
+
+// ===== In-scene effect for a settled crit or fumble: light flash, then a spark burst =====
+// Mount it when the outcome appears; it plays once and leaves the glow on.
+// With reducedMotion there is no flash or burst, only the steady glow.
+export function RollOutcomeEffect({ outcome, reducedMotion = false }) {
+  const pointsRef = useRef();
+  const lightRef = useRef();
+  const elapsed = useRef(0);
+
+  const directions = useMemo(() => burstDirections(PARTICLE_COUNT), []);
+  const positions = useMemo(() => new Float32Array(PARTICLE_COUNT * 3), []);
+  const color = OUTCOME_COLORS[outcome];
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    invalidate();
+  }, [invalidate]);
+
+  useFrame((state, delta) => {
+    if (reducedMotion) return;
+    elapsed.current += Math.min(delta, MAX_FRAME_DELTA);
+    const t = Math.min(1, elapsed.current / BURST_DURATION);
+    if (t < 1) state.invalidate(); // keep an on-demand canvas drawing until the burst is over
+
+    if (lightRef.current) {
+      // quick flash that eases down to the resting glow
+      lightRef.current.intensity = GLOW_REST + (GLOW_PEAK - GLOW_REST) * Math.sin(Math.min(1, t * 2) * Math.PI * 0.5) * (1 - t);
+    }
+
+    const points = pointsRef.current;
+    if (!points) return;
+    const radius = 0.6 + (1 - Math.pow(1 - t, 3)) * 1.4;
+    for (let i = 0; i < positions.length; i++) positions[i] = directions[i] * radius;
+    points.geometry.attributes.position.needsUpdate = true;
+    points.material.opacity = 1 - t;
+    points.visible = t < 1;
+  });
+
+  return (
+    <group>
+      <pointLight ref={lightRef} color={color} distance={5} position={[0, 0, 1.5]} intensity={GLOW_REST} />
+      <points ref={pointsRef} visible={!reducedMotion}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" count={PARTICLE_COUNT} array={positions} itemSize={3} />
+        </bufferGeometry>
+        <pointsMaterial color={color} size={0.08} transparent depthWrite={false} />
+      </points>
+    </group>
+  );
+}
+
+// ===== In-scene mark for a die a group kept or dropped (advantage pairs, DiceTray) =====
+// "kept" puts a gold ring behind the die; "dropped" closes a dark veil around it. Both are drawn in
+// the die's own scene, so they show in a DiceScene too. `radius` is the die's bounding radius.
+const KEPT_COLOR = "#ffd700";
+const DROPPED_VEIL = 0.6; // opacity of the veil over a dropped die
+
+export function DieMark({ mark, radius }) {
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    invalidate();
+  }, [mark, invalidate]);
+
+  if (mark === "kept") {
+    return (
+      <mesh position={[0, 0, -radius]}>
+        <ringGeometry args={[radius * 1.05, radius * 1.2, 48]} />
+        <meshBasicMaterial color={KEPT_COLOR} transparent opacity={0.9} depthWrite={false} />
+      </mesh>
+    );
+  }
+  if (mark === "dropped") {
+    return (
+      <mesh>
+        <sphereGeometry args={[radius * 1.05, 32, 16]} />
+        <meshBasicMaterial color="#000000" transparent opacity={DROPPED_VEIL} depthWrite={false} />
+      </mesh>
+    );
+  }
+  return null;
+}
@@ -0,0 +1,250 @@
+import * as THREE from "three";
+
+// ===== Face tables: which way every face of every die points =====
+// A face table lists, per face index, the die-local outward normal, the face centre and the
+// upright direction: the in-plane vector pointing to the top of the number printed there.
+// Textured faces take "up" from their UVs, overlay labels are laid out along it, and
+// faceQuaternion uses it so a settled face reads the right way up instead of at a random angle.
+
+export const FORWARD = new THREE.Vector3(0, 0, 1); // towards the camera of a scripted roll
+export const SCREEN_UP = new THREE.Vector3(0, 1, 0);
+export const TOP = new THREE.Vector3(0, 1, 0); // the face on top, read by a camera looking down (physics dice)
+const FAR_SIDE = new THREE.Vector3(0, 0, -1); // what is "up" on screen for a top face seen from the front
+
+// --- Builders (used by the registry with each die's own geometry)
+
+function triangleAt(pos, triangle) {
+  const i0 = triangle * 3;
+  return [0, 1, 2].map((k) => new THREE.Vector3().fromBufferAttribute(pos, i0 + k));
+}
+
+function flatNormal([v0, v1, v2]) {
+  return new THREE.Vector3()
+    .subVectors(v1, v0)
+    .cross(new THREE.Vector3().subVectors(v2, v0))
+    .normalize();
+}
+
+// the part of `up` lying in the face plane, so up is always perpendicular to the normal
+function inPlane(up, normal) {
+  return up.clone().addScaledVector(normal, -up.dot(normal)).normalize();
+}
+
+// One face per `trianglesPerFace` consecutive triangles; up points at the UV "top" corner
+export function facesFromTriangles(geometry, faceCount, trianglesPerFace = 1) {
+  const pos = geometry.attributes.position;
+  const faces = [];
+
+  for (let f = 0; f < faceCount; f++) {
+    const tri = triangleAt(pos, f * trianglesPerFace);
+    const center = new THREE.Vector3().add(tri[0]).add(tri[1]).add(tri[2]).divideScalar(3);
+    faces.push({ center, normal: flatNormal(tri), up: tri[0].clone().sub(center).normalize() });
+  }
+
+  return faces;
+}
+
+// D4 faces also list their three edges, edge k lying opposite corner k. A D4 prints the value of
+// the face across each edge along that edge, so whichever face it lands on reads along the bottom
+// edge of all three faces standing up. up on an edge points from the edge to the opposite corner.
+export function createD4Faces(geometry) {
+  const pos = geometry.attributes.position;
+  const triangles = [0, 1, 2, 3].map((f) => triangleAt(pos, f));
+  const hasCorner = (tri, v) => tri.some((c) => c.distanceToSquared(v) < 1e-8);
+
+  return facesFromTriangles(geometry, 4).map((face, f) => {
+    const tri = triangles[f];
+    const edges = [0, 1, 2].map((k) => {
+      const [a, b] = tri.filter((_, i) => i !== k);
+      const neighbour = triangles.findIndex((other, g) => g !== f && hasCorner(other, a) && hasCorner(other, b));
+      const middle = a.clone().add(b).multiplyScalar(0.5);
+      return { neighbour, up: inPlane(tri[k].clone().sub(middle), face.normal) };
+    });
+    return { ...face, edges };
+  });
+}
+
+// D10 faces are every other triangle, upright towards the nearer apex
+export function createD10Faces(geometry) {
+  const pos = geometry.attributes.position;
+  const topApex = new THREE.Vector3(0, 0, 1);
+  const bottomApex = new THREE.Vector3(0, 0, -1);
+  const faces = [];
+
+  for (let face = 0; face < 10; face++) {
+    const tri = triangleAt(pos, face * 2);
+    const center = new THREE.Vector3().add(tri[0]).add(tri[1]).add(tri[2]).divideScalar(3);
+    const apexTarget = center.z >= 0 ? topApex : bottomApex;
+
+    let best = tri[0];
+    for (const c of tri) {
+      if (apexTarget.distanceTo(c) < apexTarget.distanceTo(best)) best = c;
+    }
+
+    const normal = flatNormal(tri);
+    faces.push({ center, normal, up: inPlane(best.clone().sub(center), normal) });
+  }
+
+  return faces;
+}
+
+// D12 labels sit on the first triangle of each pentagon, kept as level with world up as the face allows
+export function createD12Faces(geometry) {
+  return facesFromTriangles(geometry, 12, 3).map((face) => {
+    const nearlyVertical = 1 - face.normal.y * face.normal.y < 0.0001;
+    const worldUp = nearlyVertical ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+    return { ...face, up: inPlane(worldUp, face.normal) };
+  });
+}
+
+// BoxGeometry groups run +x, -x, +y, -y, +z, -z; up follows the box's own UV layout
+export function createD6Faces() {
+  const axes = [
+    [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0)],
+    [new THREE.Vector3(-1, 0, 0), new THREE.Vector3(0, 1, 0)],
+    [new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, -1)],
+    [new THREE.Vector3(0, -1, 0), new THREE.Vector3(0, 0, 1)],
+    [new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 1, 0)],
+    [new THREE.Vector3(0, 0, -1), new THREE.Vector3(0, 1, 0)],
+  ];
+  return axes.map(([normal, up]) => ({ normal, up, center: normal.clone().multiplyScalar(0.5) }));
+}
+
+// --- Lookups
+
+// Face index -> { faceIndex, value, label, normal, up, center } for a resolved die definition
+export function faceTable(definition, variant) {
+  return definition.faces.map((face, faceIndex) => ({
+    faceIndex,
+    value: definition.faceValue(faceIndex, variant),
+    label: String(definition.faceLabel(faceIndex, variant)),
+    normal: face.normal.clone(),
+    up: face.up.clone(),
+    center: face.center.clone(),
+  }));
+}
+
+// Orientation that turns face `faceIndex` towards `view` (default: the camera, +Z) with its
+// number upright, i.e. the face's up vector along `screenUp`. For TOP, the top face of a die on
+// the table, upright means pointing to the far side. Apex dice (the D4) instead stand on that
+// face, see restingQuaternion.
+export function faceQuaternion(definition, faceIndex, view = FORWARD, screenUp = screenUpFor(view)) {
+  if (definition.reading === "apex") return restingQuaternion(definition, faceIndex, view);
+  const { normal, up } = definition.faces[faceIndex];
+  const right = new THREE.Vector3().crossVectors(up, normal).normalize();
+  const local = new THREE.Matrix4().makeBasis(right, up, normal);
+
+  const worldRight = new THREE.Vector3().crossVectors(screenUp, view).normalize();
+  const worldUp = new THREE.Vector3().crossVectors(view, worldRight).normalize();
+  const world = new THREE.Matrix4().makeBasis(worldRight, worldUp, view.clone().normalize());
+
+  // local basis -> world basis; the transpose of an orthonormal basis is its inverse
+  return new THREE.Quaternion().setFromRotationMatrix(world.multiply(local.transpose()));
+}
+
+function screenUpFor(view) {
+  return Math.abs(view.clone().normalize().dot(SCREEN_UP)) > ALIGNED ? FAR_SIDE : SCREEN_UP;
+}
+
+// A D4 standing on face `faceIndex` on the floor with the face across its first edge turned
+// towards `view` (seen from above: towards the front), so the result reads along that face's
+// bottom edge
+function restingQuaternion(definition, faceIndex, view) {
+  const face = definition.faces[faceIndex];
+  const front = definition.faces[face.edges[0].neighbour];
+  const up = face.normal.clone().negate();
+  const forward = inPlane(front.normal, up);
+  const local = new THREE.Matrix4().makeBasis(new THREE.Vector3().crossVectors(up, forward), up, forward);
+
+  const worldUp = SCREEN_UP.clone();
+  const worldForward = inPlane(Math.abs(view.clone().normalize().dot(worldUp)) > ALIGNED ? FORWARD : view, worldUp);
+  const worldRight = new THREE.Vector3().crossVectors(worldUp, worldForward);
+  const world = new THREE.Matrix4().makeBasis(worldRight, worldUp, worldForward);
+
+  return new THREE.Quaternion().setFromRotationMatrix(world.multiply(local.transpose()));
+}
+
+// --- Verification
+
+const ALIGNED = 0.999; // cosine of ~2.5°
+
+// Normal and texture-up (the 3D direction of increasing v) of the first triangle in a material group
+function textureFrame(geometry, groupIndex) {
+  const { start } = geometry.groups[groupIndex];
+  const vertexAt = (k) => (geometry.index ? geometry.index.getX(start + k) : start + k);
+  const p = [0, 1, 2].map((k) => new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, vertexAt(k)));
+  const uv = [0, 1, 2].map((k) => new THREE.Vector2().fromBufferAttribute(geometry.attributes.uv, vertexAt(k)));
+
+  const e1 = p[1].clone().sub(p[0]);
+  const e2 = p[2].clone().sub(p[0]);
+  const d1 = uv[1].clone().sub(uv[0]);
+  const d2 = uv[2].clone().sub(uv[0]);
+  const det = d1.x * d2.y - d2.x * d1.y;
+  const up = e1.multiplyScalar(-d2.x / det).add(e2.multiplyScalar(d1.x / det)).normalize();
+  return { normal: flatNormal(p), up };
+}
+
+// the face whose normal, turned by q, points most along `direction`
+function faceAlong(table, q, direction) {
+  const along = (face) => face.normal.clone().applyQuaternion(q).dot(direction);
+  return table.reduce((best, other) => (along(other) > along(best) ? other : best));
+}
+
+// Settled face square to the camera with its number upright; returns a problem or null
+function checkFacing(table, face, q) {
+  const facing = faceAlong(table, q, FORWARD);
+  if (facing.faceIndex !== face.faceIndex) return `settles showing face ${facing.faceIndex} ("${facing.label}") instead`;
+  if (facing.normal.clone().applyQuaternion(q).dot(FORWARD) < ALIGNED) return "not square to the camera";
+  if (face.up.clone().applyQuaternion(q).dot(SCREEN_UP) < ALIGNED) return "number is not upright";
+  return null;
+}
+
+// Apex dice: flat on the face, and the face towards the camera carries its value along the
+// bottom edge, upright on screen
+function checkResting(definition, table, face, q) {
+  const down = SCREEN_UP.clone().negate();
+  const resting = faceAlong(table, q, down);
+  if (resting.faceIndex !== face.faceIndex) return `stands on face ${resting.faceIndex} ("${resting.label}") instead`;
+  if (resting.normal.clone().applyQuaternion(q).dot(down) < ALIGNED) return "does not stand flat";
+
+  const front = faceAlong(table, q, FORWARD);
+  const edge = definition.faces[front.faceIndex].edges.find((e) => e.neighbour === face.faceIndex);
+  if (!edge) return `face ${front.faceIndex} towards the camera does not border it`;
+  const onScreen = edge.up.clone().applyQuaternion(q).setZ(0).normalize();
+  if (onScreen.dot(SCREEN_UP) < ALIGNED) return "number is not upright along the bottom edge";
+  return null;
+}
+
+// Settle the die on every face in turn and check what the camera would see: that exact face
+// square-on (apex dice: standing on it), a value that maps back to it, and the number the right
+// way up. Textured dice also
+// have their table checked against the geometry they are painted on.
+// Returns a list of problems, empty when the die is correct.
+export function checkFaceOrientations(definition, variant, geometry = definition.createGeometry()) {
+  const problems = [];
+  const table = faceTable(definition, variant);
+  const name = `d${definition.sides}${variant ? ` (${variant})` : ""}`;
+
+  table.forEach((face) => {
+    const where = `${name} face ${face.faceIndex} ("${face.label}")`;
+    if (Math.abs(face.up.dot(face.normal)) > 1 - ALIGNED) problems.push(`${where}: up vector is not in the face plane`);
+
+    if (definition.labelMode === "texture") {
+      const painted = textureFrame(geometry, face.faceIndex);
+      if (painted.normal.dot(face.normal) < ALIGNED) problems.push(`${where}: normal does not match the geometry`);
+      if (inPlane(painted.up, face.normal).dot(face.up) < ALIGNED) {
+        problems.push(`${where}: up does not match the texture`);
+      }
+    }
+
+    const q = faceQuaternion(definition, face.faceIndex);
+    const problem = definition.reading === "apex" ? checkResting(definition, table, face, q) : checkFacing(table, face, q);
+    if (problem) problems.push(`${where}: ${problem}`);
+  });
+
+  // values must be unique or a result could not be turned back into a face
+  const values = table.map((face) => face.value);
+  if (new Set(values).size !== values.length) problems.push(`${name}: duplicate face values ${values.join(", ")}`);
+
+  return problems;
+}
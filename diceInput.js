@@ -0,0 +1,125 @@
+import { useEffect, useRef } from "react";
+
+// ===== Throw input: drag-and-release and shake =====
+// Both produce a gesture { direction: [x, y, z], spin: [x, y, z] } for useDiceRoll's throwRoll.
+// direction is the launch velocity (its length is the throw's power, 1 for a plain click) and
+// spin holds the three 0–1 spin values a random throw would otherwise draw.
+
+const MIN_DRAG_PX = 12;        // shorter drags are clicks
+const SAMPLE_WINDOW_MS = 100;  // release velocity is measured over the last part of the drag
+const FULL_SPEED = 1500;       // px/s (or m/s² for shakes, scaled) that make a power-1 throw
+const POWER_RANGE = [0.4, 1.8];
+const LIFT = 1.5;              // every throw leaves the hand upwards
+
+const clamp = (x, min, max) => Math.min(max, Math.max(min, x));
+
+// Screen-space velocity (px/s, y pointing down) -> gesture. Dragging up throws away from the viewer,
+// sideways drags throw sideways, and the die spins about the axis across the throw.
+export function gestureFromVelocity(vx, vy, twist = 0.5) {
+  const speed = Math.hypot(vx, vy) || 1;
+  const power = clamp(speed / FULL_SPEED, POWER_RANGE[0], POWER_RANGE[1]);
+  const x = vx / speed;
+  const z = vy / speed;
+  const length = Math.hypot(x, LIFT, z);
+
+  return {
+    direction: [(x / length) * power, (LIFT / length) * power, (z / length) * power],
+    // tumbling forward: the top of the die leads in the direction of the throw
+    spin: [clamp(0.5 + z * 0.5 * power, 0, 1), clamp(twist, 0, 1), clamp(0.5 - x * 0.5 * power, 0, 1)],
+  };
+}
+
+// Pointer handlers for a die's wrapper: a drag of more than a few pixels throws on release with
+// the release velocity, and swallows the click that follows it.
+export function useDragThrow(onGesture, enabled = true) {
+  const samples = useRef([]);
+  const dragging = useRef(false);
+  const suppressClick = useRef(false);
+
+  if (!enabled) return {};
+
+  const sample = (event) => samples.current.push({ x: event.clientX, y: event.clientY, t: event.timeStamp });
+
+  return {
+    style: { touchAction: "none" }, // the page must not scroll away under the drag
+    onPointerDown: (event) => {
+      if (event.button !== 0) return;
+      samples.current = [];
+      dragging.current = true;
+      suppressClick.current = false;
+      sample(event);
+      if (event.currentTarget.setPointerCapture) event.currentTarget.setPointerCapture(event.pointerId);
+    },
+    onPointerMove: (event) => {
+      if (!dragging.current) return;
+      sample(event);
+      const cutoff = event.timeStamp - SAMPLE_WINDOW_MS * 3;
+      while (samples.current.length > 2 && samples.current[0].t < cutoff) samples.current.shift();
+    },
+    onPointerUp: (event) => {
+      if (!dragging.current) return;
+      dragging.current = false;
+      sample(event);
+
+      const points = samples.current;
+      const last = points[points.length - 1];
+      const first = points.find((p) => p.t >= last.t - SAMPLE_WINDOW_MS) || points[0];
+      const dx = last.x - first.x;
+      const dy = last.y - first.y;
+      if (Math.hypot(dx, dy) < MIN_DRAG_PX) return; // a click; onClick handles it
+
+      const seconds = Math.max((last.t - first.t) / 1000, 1 / 120);
+      suppressClick.current = true;
+      // the drag's sideways drift away from a straight line twists the die about its up axis
+      const start = points[0];
+      const drift = (last.x - start.x) * dy - (last.y - start.y) * dx;
+      onGesture(gestureFromVelocity(dx / seconds, dy / seconds, 0.5 + clamp(drift / 20000, -0.5, 0.5)));
+    },
+    onPointerCancel: () => {
+      dragging.current = false;
+    },
+    onClickCapture: (event) => {
+      if (!suppressClick.current) return;
+      suppressClick.current = false;
+      event.stopPropagation();
+    },
+  };
+}
+
+// ===== Shake to roll =====
+const SHAKE_THRESHOLD = 14; // m/s² of acceleration beyond gravity
+const SHAKE_COOLDOWN_MS = 1000;
+
+// iOS only delivers motion events after the user grants access, from inside a click handler
+export function requestMotionPermission() {
+  if (typeof DeviceMotionEvent !== "undefined" && typeof DeviceMotionEvent.requestPermission === "function") {
+    return DeviceMotionEvent.requestPermission().then((state) => state === "granted");
+  }
+  return Promise.resolve(typeof window !== "undefined" && "ondevicemotion" in window);
+}
+
+// Calls onGesture when the device is shaken hard enough, thrown the way it was shaken
+export function useShakeToRoll(onGesture, enabled = false) {
+  const handler = useRef(onGesture);
+  handler.current = onGesture;
+
+  useEffect(() => {
+    if (!enabled || typeof window === "undefined") return undefined;
+    let lastShake = 0;
+
+    const onMotion = (event) => {
+      const a = event.acceleration;
+      if (!a || a.x === null) return;
+      const strength = Math.hypot(a.x, a.y, a.z);
+      const now = Date.now();
+      if (strength < SHAKE_THRESHOLD || now - lastShake < SHAKE_COOLDOWN_MS) return;
+      lastShake = now;
+      // device x is screen right and device y screen up, so flip y into screen space
+      const scale = FULL_SPEED / (SHAKE_THRESHOLD * 2);
+      handler.current(gestureFromVelocity(a.x * scale, -a.y * scale, clamp(0.5 + a.z / 40, 0, 1)));
+    };
+
+    window.addEventListener("devicemotion", onMotion);
+    return () => window.removeEventListener("devicemotion", onMotion);
+  }, [enabled]);
+}
@@ -0,0 +1,202 @@
+// ===== Dice notation: "2d6+1d8+3", "4d20", "d20-1", "d%" =====
+// Dice groups take modifiers after the die, in any order:
+//   kh3 / k3  keep highest 3     kl1  keep lowest 1
+//   dh1       drop highest 1     dl1  drop lowest 1
+//   !         explode on the highest face (each explosion throws one more die)
+//   !>5       explode on 5 or higher
+//   r1 / r<2  reroll 1s / anything up to 2 until it stops matching; r>19 rerolls high
+//   ro1 / ro<2  the same, but reroll only once (Great Weapon Fighting: "2d6ro<2")
+
+export const SUPPORTED_SIDES = [4, 6, 8, 10, 12, 20, 100];
+
+// runaway guards: a die is rerolled at most this often, a roll explodes at most this often
+export const MAX_REROLLS = 20;
+export const MAX_EXPLOSIONS = 20;
+// every die in a notation gets its own component (all drawn into one canvas), so a notation holds
+// at most this many; enough for 20d6+20d6
+export const MAX_DICE = 40;
+
+const TERM_PATTERN = /([+-]?)([^+-]+)/g;
+const DICE_PATTERN = /^(\d*)d(\d+|%)(.*)$/;
+const NUMBER_PATTERN = /^\d+$/;
+const MODIFIER_PATTERN = /^(?:(kh|kl|dh|dl|k)(\d+)|(ro|r)([<>]?)(\d+)|!(?:>(\d+))?)/;
+
+// matches(value) for a reroll condition such as { compare: "<", value: 2 }
+function matchesCondition({ compare, value }, rolled) {
+  if (compare === "<") return rolled <= value;
+  if (compare === ">") return rolled >= value;
+  return rolled === value;
+}
+
+// Read the modifier suffix of one dice term ("kh3!", "ro<2") into the group
+function parseGroupModifiers(group, suffix, term) {
+  let rest = suffix;
+  while (rest) {
+    const match = MODIFIER_PATTERN.exec(rest);
+    if (!match) throw new Error(`Invalid dice modifier "${rest}" in "${term}"`);
+    rest = rest.slice(match[0].length);
+
+    if (match[1]) {
+      if (group.keep) throw new Error(`Only one keep/drop modifier allowed in "${term}"`);
+      const mode = match[1] === "k" ? "kh" : match[1];
+      const count = Number(match[2]);
+      const max = mode[0] === "k" ? group.count : group.count - 1;
+      if (count < 1 || count > max) {
+        throw new Error(`Cannot ${mode[0] === "k" ? "keep" : "drop"} ${count} of ${group.count} dice in "${term}"`);
+      }
+      group.keep = { mode, count };
+    } else if (match[3]) {
+      if (group.reroll) throw new Error(`Only one reroll modifier allowed in "${term}"`);
+      const reroll = { once: match[3] === "ro", compare: match[4] || "=", value: Number(match[5]) };
+      const everyFace = Array.from({ length: group.sides }, (_, i) => i + 1).every((v) => matchesCondition(reroll, v));
+      if (everyFace && !reroll.once) throw new Error(`Reroll in "${term}" matches every face and would never stop`);
+      group.reroll = reroll;
+    } else {
+      if (group.explode) throw new Error(`Only one explode modifier allowed in "${term}"`);
+      const min = match[6] === undefined ? group.sides : Number(match[6]);
+      if (min <= 1) throw new Error(`Explode threshold in "${term}" must be above 1`);
+      group.explode = { min };
+    }
+  }
+}
+
+// Parse a notation string into dice groups and flat modifiers.
+// Throws on anything it does not understand so typos never roll silently.
+export function parseNotation(notation) {
+  const source = String(notation || "").replace(/\s+/g, "").toLowerCase();
+  if (!source) throw new Error("Empty dice notation");
+
+  const groups = [];
+  const modifiers = [];
+  let consumed = 0;
+
+  for (const match of source.matchAll(TERM_PATTERN)) {
+    const [whole, signText, term] = match;
+    if (match.index !== consumed || (!signText && match.index > 0)) {
+      throw new Error(`Invalid dice notation "${notation}"`);
+    }
+    consumed += whole.length;
+    const sign = signText === "-" ? -1 : 1;
+
+    const dice = DICE_PATTERN.exec(term);
+    if (dice) {
+      const count = dice[1] === "" ? 1 : Number(dice[1]);
+      const sides = dice[2] === "%" ? 100 : Number(dice[2]);
+      if (count < 1) throw new Error(`Dice count must be at least 1 in "${term}"`);
+      if (!SUPPORTED_SIDES.includes(sides)) {
+        throw new Error(`Unsupported die "d${sides}" (supported: ${SUPPORTED_SIDES.map((s) => "d" + s).join(", ")})`);
+      }
+      const group = { count, sides, sign, keep: null, explode: null, reroll: null };
+      parseGroupModifiers(group, dice[3], term);
+      groups.push(group);
+    } else if (NUMBER_PATTERN.test(term)) {
+      modifiers.push(sign * Number(term));
+    } else {
+      throw new Error(`Invalid dice term "${term}" in "${notation}"`);
+    }
+  }
+
+  if (consumed !== source.length) throw new Error(`Invalid dice notation "${notation}"`);
+  if (groups.length === 0) throw new Error(`Dice notation "${notation}" contains no dice`);
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+  if (total > MAX_DICE) throw new Error(`Too many dice in "${notation}": ${total} (at most ${MAX_DICE})`);
+
+  return { notation: source, groups, modifiers };
+}
+
+// Flatten parsed groups into one entry per physical die, in group order
+export function expandDice(parsed) {
+  const dice = [];
+  parsed.groups.forEach((group, groupIndex) => {
+    for (let i = 0; i < group.count; i++) {
+      dice.push({ sides: group.sides, sign: group.sign, group: groupIndex });
+    }
+  });
+  return dice;
+}
+
+// Should this die be thrown again? rerolls counts how often it already was
+export function needsReroll(group, value, rerolls) {
+  if (!group.reroll) return false;
+  if (rerolls >= (group.reroll.once ? 1 : MAX_REROLLS)) return false;
+  return matchesCondition(group.reroll, value);
+}
+
+// Does this die add another die to its group?
+export function explodes(group, value) {
+  return Boolean(group.explode) && value >= group.explode.min;
+}
+
+// Indices (into `dice`) that keep/drop modifiers throw away. Ties drop the later die, as an
+// advantage pair keeps the first of two equal d20s.
+export function droppedDice(parsed, dice) {
+  const dropped = new Set();
+  parsed.groups.forEach((group, groupIndex) => {
+    if (!group.keep) return;
+    const { mode, count } = group.keep;
+    const members = dice
+      .map((die, index) => ({ index, value: die.value }))
+      .filter((entry) => dice[entry.index].group === groupIndex);
+
+    // line the group up from the first die to drop to the last: lowest (kh, dl) or highest
+    // (kl, dh) values first, and among equal values the later die first
+    const dropsLow = mode === "kh" || mode === "dl";
+    members.sort((a, b) => (dropsLow ? a.value - b.value : b.value - a.value) || b.index - a.index);
+    const dropCount = mode === "kh" || mode === "kl" ? members.length - count : count;
+    members.slice(0, dropCount).forEach((entry) => dropped.add(entry.index));
+  });
+  return dropped;
+}
+
+// Combine the settled dice into the reported total. `dice` is either plain values in
+// expandDice order, or die entries { sides, sign, group, value, rolls, exploded, fromExplosion }
+// as DiceTray builds them (rolls = every value the die showed, rerolled ones first; exploded =
+// it really added a die, which past MAX_EXPLOSIONS it does not). Plain values explode by value.
+export function summarizeRoll(parsed, values) {
+  const expanded = expandDice(parsed);
+  const entries = values.map((entry, i) => (typeof entry === "number" ? { ...expanded[i], value: entry } : entry));
+  const dropped = droppedDice(parsed, entries);
+
+  const dice = entries.map((die, i) => {
+    const group = parsed.groups[die.group];
+    return {
+      sides: die.sides,
+      sign: die.sign,
+      group: die.group,
+      value: die.value,
+      rolls: die.rolls || [die.value],
+      dropped: dropped.has(i),
+      exploded: die.exploded !== undefined ? die.exploded : explodes(group, die.value),
+      fromExplosion: Boolean(die.fromExplosion),
+    };
+  });
+
+  const modifier = parsed.modifiers.reduce((sum, m) => sum + m, 0);
+  const diceTotal = dice.reduce((sum, die) => (die.dropped ? sum : sum + die.sign * die.value), 0);
+  const total = diceTotal + modifier;
+
+  return {
+    notation: parsed.notation,
+    dice,
+    modifiers: parsed.modifiers,
+    modifier,
+    total,
+    breakdown: describeRoll(parsed, dice, total),
+  };
+}
+
+// "4d6kh3+2 [6, (2), 5, 4] + 2 = 17": dropped dice in (), rerolls as 1→5, explosions marked !
+function describeRoll(parsed, dice, total) {
+  const groups = parsed.groups.map((group, groupIndex) => {
+    const shown = dice
+      .filter((die) => die.group === groupIndex)
+      .map((die) => {
+        const text = `${die.rolls.join("→")}${die.exploded ? "!" : ""}`;
+        return die.dropped ? `(${text})` : text;
+      });
+    return `${group.sign < 0 ? "- " : ""}[${shown.join(", ")}]`;
+  });
+  const modifiers = parsed.modifiers.map((m) => (m < 0 ? `- ${-m}` : `+ ${m}`));
+  const parts = [...groups, ...modifiers].join(" ").replace(/\] \[/g, "] + [");
+  return `${parsed.notation} ${parts} = ${total}`;
+}
@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest";
+import {
+  parseNotation,
+  expandDice,
+  needsReroll,
+  explodes,
+  droppedDice,
+  summarizeRoll,
+  MAX_DICE,
+  MAX_REROLLS,
+} from "./diceNotation";
+
+// die entries as DiceTray builds them, from plain values
+function entriesFor(notation, values) {
+  const parsed = parseNotation(notation);
+  return { parsed, dice: expandDice(parsed).map((die, i) => ({ ...die, value: values[i] })) };
+}
+
+describe("parseNotation", () => {
+  it("reads dice groups, signs and flat modifiers", () => {
+    const parsed = parseNotation("2d6 + 1d8 - d4 + 3 - 1");
+    expect(parsed.notation).toBe("2d6+1d8-d4+3-1");
+    expect(parsed.groups.map(({ count, sides, sign }) => [count, sides, sign])).toEqual([
+      [2, 6, 1],
+      [1, 8, 1],
+      [1, 4, -1],
+    ]);
+    expect(parsed.modifiers).toEqual([3, -1]);
+  });
+
+  it("reads d% as a d100", () => {
+    expect(parseNotation("d%").groups[0].sides).toBe(100);
+  });
+
+  it("reads keep, drop, reroll and explode modifiers in any order", () => {
+    const [group] = parseNotation("4d6!>5ro<2k3").groups;
+    expect(group.keep).toEqual({ mode: "kh", count: 3 });
+    expect(group.reroll).toEqual({ once: true, compare: "<", value: 2 });
+    expect(group.explode).toEqual({ min: 5 });
+  });
+
+  it.each([
+    ["", "Empty dice notation"],
+    ["2d7", 'Unsupported die "d7"'],
+    ["0d6", "Dice count must be at least 1"],
+    ["2d6x", 'Invalid dice modifier "x"'],
+    ["2d6kh3", "Cannot keep 3 of 2 dice"],
+    ["2d6dl2", "Cannot drop 2 of 2 dice"],
+    ["2d6k1kl1", "Only one keep/drop modifier"],
+    ["2d6r<6", "matches every face"],
+    ["2d6!>1", "must be above 1"],
+    ["5", "contains no dice"],
+    ["2d6++1", "Invalid dice notation"],
+    [`${MAX_DICE + 1}d6`, "Too many dice"],
+  ])("rejects %j", (notation, message) => {
+    expect(() => parseNotation(notation)).toThrow(message);
+  });
+
+  it("allows up to MAX_DICE dice across groups", () => {
+    const half = Math.floor(MAX_DICE / 2);
+    expect(() => parseNotation(`${half}d6+${half}d8`)).not.toThrow();
+    expect(() => parseNotation(`${half}d6+${MAX_DICE - half + 1}d8`)).toThrow("Too many dice");
+  });
+});
+
+describe("keep and drop", () => {
+  it.each([
+    ["4d6kh3", [6, 2, 5, 4], [1]],
+    ["4d6kl1", [6, 2, 5, 4], [0, 2, 3]],
+    ["4d6dh1", [6, 2, 5, 4], [0]],
+    ["4d6dl2", [6, 2, 5, 4], [1, 3]],
+  ])("%s of %j drops dice %j", (notation, values, expected) => {
+    const { parsed, dice } = entriesFor(notation, values);
+    expect([...droppedDice(parsed, dice)].sort()).toEqual(expected);
+  });
+
+  it.each([
+    ["4d6kh3", [3, 5, 3, 6], [2]],
+    ["4d6dl1", [3, 5, 3, 6], [2]],
+    ["4d6kl3", [6, 2, 6, 1], [2]],
+    ["4d6dh1", [6, 2, 6, 1], [2]],
+    ["2d20kh1", [12, 12], [1]],
+  ])("%s of %j drops the later of two equal dice", (notation, values, expected) => {
+    const { parsed, dice } = entriesFor(notation, values);
+    expect([...droppedDice(parsed, dice)]).toEqual(expected);
+  });
+
+  it("only drops within the group that has the modifier", () => {
+    const { parsed, dice } = entriesFor("2d6kh1+2d6", [1, 2, 1, 1]);
+    expect([...droppedDice(parsed, dice)]).toEqual([0]);
+  });
+});
+
+describe("rerolls and explosions", () => {
+  it("rerolls matching dice until they stop matching, up to MAX_REROLLS", () => {
+    const [group] = parseNotation("2d6r<2").groups;
+    expect(needsReroll(group, 1, 0)).toBe(true);
+    expect(needsReroll(group, 2, 5)).toBe(true);
+    expect(needsReroll(group, 3, 0)).toBe(false);
+    expect(needsReroll(group, 1, MAX_REROLLS)).toBe(false);
+  });
+
+  it("rerolls only once with ro", () => {
+    const [group] = parseNotation("2d6ro1").groups;
+    expect(needsReroll(group, 1, 0)).toBe(true);
+    expect(needsReroll(group, 1, 1)).toBe(false);
+  });
+
+  it("explodes on the highest face, or from a threshold", () => {
+    const [plain] = parseNotation("3d6!").groups;
+    const [threshold] = parseNotation("3d6!>5").groups;
+    expect(explodes(plain, 6)).toBe(true);
+    expect(explodes(plain, 5)).toBe(false);
+    expect(explodes(threshold, 5)).toBe(true);
+    expect(explodes(parseNotation("3d6").groups[0], 6)).toBe(false);
+  });
+});
+
+describe("summarizeRoll", () => {
+  it("totals kept dice and modifiers, listing dice in roll order", () => {
+    const summary = summarizeRoll(parseNotation("4d6kh3+2"), [6, 2, 5, 4]);
+    expect(summary.total).toBe(17);
+    expect(summary.modifier).toBe(2);
+    expect(summary.dice.map((die) => die.dropped)).toEqual([false, true, false, false]);
+    expect(summary.breakdown).toBe("4d6kh3+2 [6, (2), 5, 4] + 2 = 17");
+  });
+
+  it("subtracts negative groups", () => {
+    expect(summarizeRoll(parseNotation("1d8-1d4"), [5, 3]).breakdown).toBe("1d8-1d4 [5] - [3] = 2");
+  });
+
+  it("shows rerolls and explosions from the tray's entries", () => {
+    const parsed = parseNotation("2d6r1!");
+    const summary = summarizeRoll(parsed, [
+      { sides: 6, sign: 1, group: 0, value: 6, rolls: [1, 6], exploded: true },
+      { sides: 6, sign: 1, group: 0, value: 3, rolls: [3], exploded: false },
+      { sides: 6, sign: 1, group: 0, value: 2, rolls: [2], exploded: false, fromExplosion: true },
+    ]);
+    expect(summary.total).toBe(11);
+    expect(summary.breakdown).toBe("2d6r1! [1→6!, 3, 2] = 11");
+    expect(summary.dice[2].fromExplosion).toBe(true);
+  });
+
+  it("marks only dice that really added a die once explosions run out", () => {
+    const summary = summarizeRoll(parseNotation("1d6!"), [
+      { sides: 6, sign: 1, group: 0, value: 6, rolls: [6], exploded: false },
+    ]);
+    expect(summary.dice[0].exploded).toBe(false);
+    expect(summary.breakdown).toBe("1d6! [6] = 6");
+  });
+
+  it("explodes plain values by value", () => {
+    expect(summarizeRoll(parseNotation("1d6!"), [6]).dice[0].exploded).toBe(true);
+  });
+});
@@ -0,0 +1,270 @@
+import * as THREE from "three";
+
+// ===== Rigid-body dice simulation (used when a die is rolled with physics enabled) =====
+// Small impulse solver: the die is a convex hull of its geometry vertices colliding with the
+// floor plane and four walls. No broadphase, no die-die contacts; enough for one tumbling die.
+
+export const FLOOR_Y = -1.4;
+export const WALL_HALF_SIZE = 1.8;                 // walls at x/z = ±WALL_HALF_SIZE
+export const PHYSICS_CAMERA_POSITION = [0, 3.5, 3]; // looks down at the floor so the top face is readable
+
+const GRAVITY = -9.8;
+const RESTITUTION = 0.35;
+const FRICTION = 0.4;
+const LINEAR_DAMPING = 0.4;
+const ANGULAR_DAMPING = 0.9;
+const STEP = 1 / 240;
+const REST_LINEAR_SPEED = 0.05;
+const REST_ANGULAR_SPEED = 0.15;
+const REST_TIME = 0.25;      // seconds below the thresholds before the die counts as settled
+const CONTACT_SLOP = 0.01;   // corners this close to the floor count as resting on it
+const LATE_TIME = 3;         // seconds; after this a die still moving is damped harder and harder
+const MAX_SIM_TIME = 12;     // last resort: settle wherever the die is
+const MAX_SPIN = 20;         // rad/s about each axis for a spin draw of 0 or 1
+const TIP_SPIN = 1;          // rad/s push that tips a die stalled on an edge or corner
+const STALL_SPEED = 0.6;     // m/s and rad/s; slower than this on an edge or corner counts as stalled
+const STALL_TIME = 0.3;      // seconds stalled before the die is tipped
+const TIP_DRIFT = 0.5;       // a tip also slides the die towards the middle, at this many m/s per metre out
+const NUDGE_SPIN = 6;        // rad/s tumble of the knock that unsettles a cocked die
+const NUDGE_HOP = 1.5;       // m/s upwards for the same knock
+
+const PLANES = [
+  { normal: new THREE.Vector3(0, 1, 0), offset: FLOOR_Y },
+  { normal: new THREE.Vector3(1, 0, 0), offset: -WALL_HALF_SIZE },
+  { normal: new THREE.Vector3(-1, 0, 0), offset: -WALL_HALF_SIZE },
+  { normal: new THREE.Vector3(0, 0, 1), offset: -WALL_HALF_SIZE },
+  { normal: new THREE.Vector3(0, 0, -1), offset: -WALL_HALF_SIZE },
+];
+
+// ===== body setup =====
+export function createDieBody(geometry) {
+  const posAttr = geometry.attributes.position;
+  const vertices = [];
+  let radius = 0;
+
+  // non-indexed geometries repeat every corner once per triangle, keep unique corners only
+  for (let i = 0; i < posAttr.count; i++) {
+    const v = new THREE.Vector3().fromBufferAttribute(posAttr, i);
+    if (!vertices.some((u) => u.distanceToSquared(v) < 1e-8)) {
+      vertices.push(v);
+      radius = Math.max(radius, v.length());
+    }
+  }
+
+  return {
+    vertices,
+    inverseInertia: 1 / (0.4 * radius * radius), // solid sphere approximation, unit mass
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    velocity: new THREE.Vector3(),
+    angularVelocity: new THREE.Vector3(),
+    restTime: 0,
+    stallTime: 0,
+    elapsed: 0,
+    accumulator: 0,
+    bounced: false,
+    impactSpeed: 0,  // strongest hit since the last read, for sound; the reader zeroes it
+    floorContacts: 0,
+    random: Math.random, // the throw's own seeded source, for tips and nudges
+  };
+}
+
+// The throw every roll draws first, in this order: a launch direction (up and out to one side)
+// and three spin values. Scripted rolls draw their face after these, physics rolls a throw seed.
+export function drawThrow(random) {
+  const direction = new THREE.Vector3(
+    (random() - 0.5) * 2,
+    random() * 1.5 + 1.2,
+    (random() - 0.5) * 2
+  ).normalize();
+  return { direction: direction.toArray(), spin: [random(), random(), random()] };
+}
+
+// Uniformly random orientation from three [0, 1) draws (Shoemake's method)
+export function randomOrientation(random) {
+  const u = random();
+  const a = random() * Math.PI * 2;
+  const b = random() * Math.PI * 2;
+  const s = Math.sqrt(1 - u);
+  const t = Math.sqrt(u);
+  return new THREE.Quaternion(s * Math.sin(a), s * Math.cos(a), t * Math.sin(b), t * Math.cos(b));
+}
+
+// Launch the body from the centre along rollDirection; rollSpin holds three [0, 1) draws for the
+// tumble. `random` (the roll's own seeded source) picks the starting orientation, so which face
+// comes up depends on the whole throw rather than on a fixed starting pose, and it keeps drawing
+// the direction of every later tip or nudge. Returns the starting orientation.
+export function throwDieBody(body, rollDirection, rollSpin, random) {
+  body.random = random;
+  body.position.set(0, 0, 0);
+  body.quaternion.copy(randomOrientation(random));
+  body.velocity.set(rollDirection[0] * 3, rollDirection[1] * 4, rollDirection[2] * 3);
+  body.angularVelocity.set(
+    (rollSpin[0] - 0.5) * 2 * MAX_SPIN,
+    (rollSpin[1] - 0.5) * 2 * MAX_SPIN,
+    (rollSpin[2] - 0.5) * 2 * MAX_SPIN
+  );
+  body.restTime = 0;
+  body.stallTime = 0;
+  body.elapsed = 0;
+  body.accumulator = 0;
+  body.bounced = false;
+  body.impactSpeed = 0;
+  return body.quaternion.clone();
+}
+
+// ===== simulation =====
+const _r = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _pointVel = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _impulse = new THREE.Vector3();
+const _rxn = new THREE.Vector3();
+const _spin = new THREE.Quaternion();
+
+function applyImpulse(body, r, impulse) {
+  body.velocity.add(impulse);
+  body.angularVelocity.add(_rxn.crossVectors(r, impulse).multiplyScalar(body.inverseInertia));
+}
+
+function resolveContacts(body) {
+  let touching = false;
+  body.floorContacts = 0;
+
+  for (const plane of PLANES) {
+    let deepest = 0;
+
+    for (const v of body.vertices) {
+      _r.copy(v).applyQuaternion(body.quaternion);
+      _point.copy(_r).add(body.position);
+      const depth = plane.offset - _point.dot(plane.normal);
+      if (plane.normal.y > 0 && depth > -CONTACT_SLOP) body.floorContacts++;
+      if (depth <= 0) continue;
+
+      touching = true;
+      deepest = Math.max(deepest, depth);
+
+      // velocity of the contact point
+      _pointVel.crossVectors(body.angularVelocity, _r).add(body.velocity);
+      const vn = _pointVel.dot(plane.normal);
+      if (vn >= 0) continue;
+
+      if (plane.normal.y > 0 && vn < -1) body.bounced = true;
+      if (vn < -1) body.impactSpeed = Math.max(body.impactSpeed, -vn);
+
+      // normal impulse with restitution
+      _rxn.crossVectors(_r, plane.normal);
+      const k = 1 + body.inverseInertia * _rxn.lengthSq();
+      const jn = (-(1 + RESTITUTION) * vn) / k;
+      applyImpulse(body, _r, _impulse.copy(plane.normal).multiplyScalar(jn));
+
+      // Coulomb friction along the sliding direction
+      _pointVel.crossVectors(body.angularVelocity, _r).add(body.velocity);
+      _tangent.copy(_pointVel).addScaledVector(plane.normal, -_pointVel.dot(plane.normal));
+      const slide = _tangent.length();
+      if (slide > 1e-6) {
+        _tangent.divideScalar(slide);
+        _rxn.crossVectors(_r, _tangent);
+        const kt = 1 + body.inverseInertia * _rxn.lengthSq();
+        const jt = Math.min(slide / kt, FRICTION * jn);
+        applyImpulse(body, _r, _impulse.copy(_tangent).multiplyScalar(-jt));
+      }
+    }
+
+    // push the hull back out of the plane
+    if (deepest > 0) body.position.addScaledVector(plane.normal, deepest);
+  }
+
+  return touching;
+}
+
+function integrate(body, dt) {
+  body.velocity.y += GRAVITY * dt;
+  body.position.addScaledVector(body.velocity, dt);
+
+  const w = body.angularVelocity;
+  _spin.set(w.x * dt * 0.5, w.y * dt * 0.5, w.z * dt * 0.5, 0).multiply(body.quaternion);
+  body.quaternion.x += _spin.x;
+  body.quaternion.y += _spin.y;
+  body.quaternion.z += _spin.z;
+  body.quaternion.w += _spin.w;
+  body.quaternion.normalize();
+
+  if (resolveContacts(body)) {
+    // a die still rocking late in the throw (e.g. on a ridge between two facets) is slowed down
+    const drag = 1 + Math.max(0, body.elapsed - LATE_TIME) * 2;
+    body.velocity.multiplyScalar(Math.max(0, 1 - LINEAR_DAMPING * drag * dt));
+    body.angularVelocity.multiplyScalar(Math.max(0, 1 - ANGULAR_DAMPING * drag * dt));
+  }
+}
+
+// Spin the body about a horizontal axis drawn from its throw's source
+function tip(body, speed) {
+  const angle = body.random() * Math.PI * 2;
+  body.angularVelocity.x += Math.cos(angle) * speed;
+  body.angularVelocity.z += Math.sin(angle) * speed;
+}
+
+// Advance the simulation by one frame. Only whole fixed steps are integrated (the remainder carries
+// over), so a throw plays out identically at any frame rate and seeded rolls replay exactly.
+export function stepDieBody(body, delta) {
+  body.accumulator += Math.min(delta, 0.1);
+
+  while (body.accumulator >= STEP && !isDieBodyAtRest(body)) {
+    integrate(body, STEP);
+    body.accumulator -= STEP;
+    body.elapsed += STEP;
+
+    const still =
+      body.velocity.length() < REST_LINEAR_SPEED &&
+      body.angularVelocity.length() < REST_ANGULAR_SPEED;
+
+    // A die only rests on a face (3+ corners down). One that stalls on an edge or corner, still or
+    // jittering in place (often leaning on a wall), gets tipped over towards the middle.
+    const slow = body.velocity.length() < STALL_SPEED && body.angularVelocity.length() < STALL_SPEED;
+    body.stallTime = slow && body.floorContacts < 3 ? body.stallTime + STEP : 0;
+    if (body.stallTime >= STALL_TIME) {
+      tip(body, TIP_SPIN);
+      body.velocity.x -= body.position.x * TIP_DRIFT;
+      body.velocity.z -= body.position.z * TIP_DRIFT;
+      body.stallTime = 0;
+    }
+    body.restTime = still && body.floorContacts >= 3 ? body.restTime + STEP : 0;
+  }
+}
+
+export function isDieBodyAtRest(body) {
+  return body.restTime >= REST_TIME || body.elapsed >= MAX_SIM_TIME;
+}
+
+// Knock a die that came to rest cocked (leaning on a wall or across two facets) back into play:
+// a hop towards the middle of the floor and a tumble in a direction drawn from the throw
+export function nudgeDieBody(body) {
+  body.velocity.set(-body.position.x, 0, -body.position.z).clampLength(0, 1);
+  body.velocity.y = NUDGE_HOP;
+  tip(body, NUDGE_SPIN);
+  body.restTime = 0;
+  body.elapsed = 0;
+  body.accumulator = 0;
+}
+
+// ===== reading the result =====
+export const UP = new THREE.Vector3(0, 1, 0);
+export const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Index of the face whose world-space normal points most along `axis`
+export function findFaceIndex(quaternion, faceNormals, axis = UP) {
+  const n = new THREE.Vector3();
+  let best = 0;
+  let bestDot = -Infinity;
+
+  faceNormals.forEach((normal, i) => {
+    const d = n.copy(normal).applyQuaternion(quaternion).dot(axis);
+    if (d > bestDot) {
+      bestDot = d;
+      best = i;
+    }
+  });
+
+  return best;
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { DIE_SIDES, getDieDefinition } from "./diceRegistry";
+import * as THREE from "three";
+import { createDieBody, drawThrow, isDieBodyAtRest, nudgeDieBody, stepDieBody, throwDieBody, FLOOR_Y } from "./dicePhysics";
+import { readFace } from "./diceReading";
+import { createRng, nextSeed } from "./rng";
+
+const THROWS = 1200;
+const MAX_SETTLE_SECONDS = 10;
+
+// chi-squared at p = 0.001 by degrees of freedom (faces - 1): a fair die fails this 1 time in 1000
+const CHI_SQUARED_LIMIT = { 3: 16.27, 5: 20.52, 7: 24.32, 9: 27.88, 11: 31.26, 19: 43.82 };
+
+// Throw a die the way useDiceRoll and Die do for a physics roll with this seed (nudging it
+// whenever it comes to rest cocked) and read where it lands; `stats` counts the hard cases
+function throwSeeded(definition, body, seed, stats = { nudges: 0, longest: 0 }) {
+  const random = createRng(seed);
+  const { direction, spin } = drawThrow(random);
+  throwDieBody(body, direction, spin, createRng(nextSeed(random)));
+
+  for (;;) {
+    while (!isDieBodyAtRest(body)) stepDieBody(body, 1 / 60);
+    stats.longest = Math.max(stats.longest, body.elapsed);
+    const reading = readFace(definition, body.quaternion);
+    if (!reading.cocked) return reading;
+    stats.nudges += 1;
+    nudgeDieBody(body);
+  }
+}
+
+describe("physics rolls", () => {
+  it.each(DIE_SIDES)("d%i lands on every face about equally often", (sides) => {
+    const definition = getDieDefinition(sides);
+    const body = createDieBody(definition.createGeometry());
+    const counts = new Array(sides).fill(0);
+
+    const stats = { nudges: 0, longest: 0 };
+
+    for (let seed = 0; seed < THROWS; seed++) counts[throwSeeded(definition, body, seed, stats).faceIndex]++;
+
+    // every throw comes to rest by itself, well before the last-resort cutoff
+    expect(stats.longest).toBeLessThan(MAX_SETTLE_SECONDS);
+    expect(stats.nudges).toBeLessThan(THROWS * 0.05);
+    const expected = THROWS / sides;
+    const chiSquared = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+    expect(chiSquared).toBeLessThan(CHI_SQUARED_LIMIT[sides - 1]);
+  });
+
+  it("knocks a cocked die back into play until it lands flat", () => {
+    const definition = getDieDefinition(6);
+    const body = createDieBody(definition.createGeometry());
+    const { direction, spin } = drawThrow(createRng(7));
+    throwDieBody(body, direction, spin, createRng(8));
+
+    // balanced on an edge, halfway to a wall
+    body.quaternion.setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 4);
+    body.position.set(1.2, FLOOR_Y + Math.SQRT1_2, 0);
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    expect(readFace(definition, body.quaternion).cocked).toBe(true);
+
+    nudgeDieBody(body);
+    expect(body.velocity.x).toBeLessThan(0); // towards the middle
+    while (!isDieBodyAtRest(body)) stepDieBody(body, 1 / 60);
+    expect(readFace(definition, body.quaternion).cocked).toBe(false);
+  });
+
+  it("replays the same landing from the same seed", () => {
+    const definition = getDieDefinition(20);
+    const body = createDieBody(definition.createGeometry());
+    const first = throwSeeded(definition, body, 42);
+    expect(throwSeeded(definition, body, 42)).toEqual(first);
+  });
+});
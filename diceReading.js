@@ -0,0 +1,43 @@
+import * as THREE from "three";
+import { getDieDefinition } from "./diceRegistry";
+import { findFaceIndex, UP } from "./dicePhysics";
+
+// ===== Reading a die: which face is showing for a given orientation =====
+// viewDir is the world direction the result is read from:
+//   UP (default)      the face on top, as a die resting on a table is read
+//   [0, 0, 1]         the face towards the camera, as a scripted roll presents it
+// A D4 has no top face: it is read from the face it lands on (the one pointing away from viewDir),
+// whose value is printed along the bottom edge of each face standing up. Scripted D4 rolls stand
+// on their face too. Pass { convention: "face" } to read the face towards viewDir instead.
+
+const COCKED_ANGLE = 0.35; // radians (~20°); beyond this the read face is ambiguous
+
+function resolveDie(dieType) {
+  if (typeof dieType === "object" && dieType.faces) return dieType;
+  const match = /^d(\d+)$/i.exec(String(dieType));
+  const sides = typeof dieType === "number" ? dieType : match && Number(match[1]);
+  if (!sides) throw new Error(`readFace needs a die type like "d20", got ${dieType}`);
+  return getDieDefinition(sides);
+}
+
+// Returns { faceIndex, value, label, angle, cocked }: angle is how far the read face (or for an
+// apex read, the opposite face) leans away from viewDir, and cocked is set when it leans so far
+// that the die would be re-rolled at a table. dieType is "d20", 20 or a registry definition.
+export function readFace(dieType, quaternion, viewDir = UP, { variant, convention } = {}) {
+  const definition = resolveDie(dieType);
+  const apex = (convention || definition.reading) === "apex";
+  const axis = new THREE.Vector3(...(Array.isArray(viewDir) ? viewDir : viewDir.toArray())).normalize();
+  if (apex) axis.negate();
+
+  const faceIndex = findFaceIndex(quaternion, definition.faces.map((face) => face.normal), axis);
+  const normal = definition.faces[faceIndex].normal.clone().applyQuaternion(quaternion);
+  const angle = Math.acos(THREE.MathUtils.clamp(normal.dot(axis), -1, 1));
+
+  return {
+    faceIndex,
+    value: definition.faceValue(faceIndex, variant),
+    label: String(definition.faceLabel(faceIndex, variant)),
+    angle,
+    cocked: angle > COCKED_ANGLE,
+  };
+}
@@ -0,0 +1,203 @@
+import * as THREE from "three";
+import {
+  facesFromTriangles,
+  createD4Faces,
+  createD6Faces,
+  createD10Faces,
+  createD12Faces,
+  checkFaceOrientations,
+} from "./diceFaces";
+
+// ===== Die registry: geometry, face table and look for every supported die =====
+// Face index i always carries value i + 1 (D10 variants aside). The face tables themselves
+// (normal, centre, upright direction) are built by diceFaces.js from each die's geometry.
+
+// --- Geometry helpers
+
+// non-indexed, one material group and full-face UVs per triangle (dice with textured faces)
+function createTexturedPolyhedron(base) {
+  const nonIndexed = base.index ? base.toNonIndexed() : base;
+
+  const posAttr = nonIndexed.attributes.position;
+  const triCount = posAttr.count / 3;
+  const uvs = [];
+
+  for (let i = 0; i < triCount; i++) {
+    uvs.push(0.5, 1.0); // top
+    uvs.push(0.0, 0.0); // bottom-left
+    uvs.push(1.0, 0.0); // bottom-right
+  }
+
+  nonIndexed.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  nonIndexed.clearGroups();
+
+  for (let i = 0; i < triCount; i++) {
+    nonIndexed.addGroup(i * 3, 3, i); // Each triangle -> one face material
+  }
+
+  nonIndexed.computeVertexNormals();
+  return nonIndexed;
+}
+
+// Pentagonal bipyramid with a zig-zag equator standing in for the D10 trapezohedron
+function createD10Geometry() {
+  const sides = 10;
+  const radius = 1;
+
+  const verts = [0, 0, 1, 0, 0, -1];
+
+  for (let i = 0; i < sides; i++) {
+    const a = (i * Math.PI * 2) / sides;
+    verts.push(-Math.cos(a), -Math.sin(a), 0.105 * (i % 2 ? 1 : -1));
+  }
+
+  const faces = [];
+  for (let i = 0; i < sides; i++) faces.push([0, 2 + i, 2 + ((i + 1) % sides)]);
+  for (let i = 0; i < sides; i++) faces.push([1, 2 + ((i + 1) % sides), 2 + i]);
+
+  const g = new THREE.PolyhedronGeometry(verts, faces.flat(), radius, 0);
+  const nonIndexed = g.index ? g.toNonIndexed() : g;
+  nonIndexed.computeVertexNormals();
+  return nonIndexed;
+}
+
+function createD12Geometry() {
+  const g = new THREE.DodecahedronGeometry(1);
+  return g.index ? g.toNonIndexed() : g;
+}
+
+// --- Face values
+
+const defaultFaceValue = (faceIndex) => faceIndex + 1;
+
+// standard d10 reads 1–10, a percentile pair reads 00–90 (tens) and 0–9 (units)
+function d10FaceValue(faceIndex, variant) {
+  if (variant === "tens") return faceIndex * 10;
+  if (variant === "units") return faceIndex;
+  return faceIndex + 1;
+}
+
+function d10FaceLabel(faceIndex, variant) {
+  if (variant === "tens") return faceIndex === 0 ? "00" : String(faceIndex * 10);
+  return d10FaceValue(faceIndex, variant);
+}
+
+// --- Entries
+
+const SCRIPTED_ROLL = { rollDurationMs: 1800, bounceDamping: 0.5 };
+
+const ENTRIES = {
+  4: {
+    ...SCRIPTED_ROLL,
+    createGeometry: () => createTexturedPolyhedron(new THREE.TetrahedronGeometry(1)),
+    createFaces: createD4Faces,
+    reading: "apex", // a D4 is read from the face it lands on, printed along the bottom edges of the others
+    labelMode: "texture",
+    color: "#b71c1c",
+    material: { roughness: 0.5, metalness: 0.0 },
+    texture: { fontScale: 0.2, layout: "edges" },
+    spin: { base: [8, 10, 7], range: [3, 3, 2] },
+    lights: { ambient: 0.6, directional: 0.8 },
+  },
+  6: {
+    rollDurationMs: 1000,
+    bounceDamping: 0.05,
+    createGeometry: () => new THREE.BoxGeometry(1, 1, 1),
+    createFaces: createD6Faces,
+    reading: "face",
+    labelMode: "texture",
+    color: "#1565c0",
+    material: { roughness: 0.5, metalness: 0.0 },
+    texture: { fontScale: 0.55, baseline: "middle", underline: [6] },
+    spin: { base: [8, 10, 7], range: [3, 3, 2] },
+    lights: { ambient: 0.6, directional: 0.8 },
+  },
+  8: {
+    ...SCRIPTED_ROLL,
+    createGeometry: () => createTexturedPolyhedron(new THREE.OctahedronGeometry(1)),
+    createFaces: (geometry) => facesFromTriangles(geometry, 8),
+    reading: "face",
+    labelMode: "texture",
+    color: "#00796b",
+    material: { roughness: 0.5, metalness: 0.0 },
+    texture: { fontScale: 0.45, baseline: "top" },
+    spin: { base: [8, 10, 7], range: [3, 3, 2] },
+    lights: { ambient: 0.6, directional: 0.8 },
+  },
+  10: {
+    ...SCRIPTED_ROLL,
+    createGeometry: createD10Geometry,
+    createFaces: createD10Faces,
+    reading: "face",
+    labelMode: "overlay",
+    color: "#CC9809",
+    material: { roughness: 1.0, metalness: 0.0 },
+    label: { scale: 0.7, lift: 0.025, offset: [-0.2, 0], sprite: { fontScale: 0.75, lineWidth: 0.04, underline: [6, 9] } },
+    spin: { base: [7, 8, 6], range: [3, 3, 2] },
+    lights: { ambient: 0.8, directional: 0.9 },
+    faceValue: d10FaceValue,
+    faceLabel: d10FaceLabel,
+  },
+  12: {
+    ...SCRIPTED_ROLL,
+    createGeometry: createD12Geometry,
+    createFaces: createD12Faces,
+    reading: "face",
+    labelMode: "overlay",
+    color: "#AF0202",
+    material: { roughness: 0.9, metalness: 0.0 },
+    label: { scale: 0.55, lift: 0.001, offset: [0.175, 0.2], sprite: { fontScale: 0.7, lineWidth: 0.045, underline: [6, 9] } },
+    spin: { base: [7, 9, 6], range: [3, 3, 2] },
+    lights: { ambient: 0.8, directional: 0.9 },
+  },
+  20: {
+    ...SCRIPTED_ROLL,
+    createGeometry: () => createTexturedPolyhedron(new THREE.IcosahedronGeometry(1)),
+    createFaces: (geometry) => facesFromTriangles(geometry, 20),
+    reading: "face",
+    labelMode: "texture",
+    color: "#ad1457",
+    material: { roughness: 0.5, metalness: 0.0 },
+    texture: { fontScale: 0.4, baseline: "top" },
+    spin: { base: [8, 10, 7], range: [3, 3, 2] },
+    lights: { ambient: 0.6, directional: 0.8 },
+  },
+};
+
+export const DIE_SIDES = Object.keys(ENTRIES).map(Number);
+
+const definitions = {};
+
+// Resolved definition for a die; the face table is built once per die type from its own geometry
+export function getDieDefinition(sides) {
+  if (definitions[sides]) return definitions[sides];
+
+  const entry = ENTRIES[sides];
+  if (!entry) {
+    throw new Error(`Unsupported die "d${sides}" (supported: ${DIE_SIDES.map((s) => "d" + s).join(", ")})`);
+  }
+
+  const faces = entry.createFaces(entry.createGeometry());
+  const faceValue = entry.faceValue || defaultFaceValue;
+
+  definitions[sides] = {
+    ...entry,
+    sides,
+    faces,
+    faceValue,
+    faceLabel: entry.faceLabel || faceValue,
+  };
+  return definitions[sides];
+}
+
+// Check every die (and D10 variant) settles upright on the face it reports; throws listing
+// every problem found. Run it after touching geometry, face tables or labels.
+export function verifyDiceFaces() {
+  const problems = DIE_SIDES.flatMap((sides) => {
+    const definition = getDieDefinition(sides);
+    const variants = sides === 10 ? [undefined, "tens", "units"] : [undefined];
+    return variants.flatMap((variant) => checkFaceOrientations(definition, variant));
+  });
+  if (problems.length) throw new Error(`Dice face check failed:\n${problems.join("\n")}`);
+  return true;
+}
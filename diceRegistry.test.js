@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { DIE_SIDES, getDieDefinition, verifyDiceFaces } from "./diceRegistry";
+import { checkFaceOrientations, faceQuaternion, faceTable, TOP } from "./diceFaces";
+import { readFace } from "./diceReading";
+import { UP } from "./dicePhysics";
+
+const DICE = DIE_SIDES.flatMap((sides) =>
+  (sides === 10 ? [undefined, "tens", "units"] : [undefined]).map((variant) => [
+    `d${sides}${variant ? ` ${variant}` : ""}`,
+    sides,
+    variant,
+  ])
+);
+
+describe("face tables", () => {
+  it.each(DICE)("%s settles upright on every face it reports", (name, sides, variant) => {
+    expect(checkFaceOrientations(getDieDefinition(sides), variant)).toEqual([]);
+  });
+
+  it.each(DICE)("%s has one face per value", (name, sides, variant) => {
+    const values = faceTable(getDieDefinition(sides), variant).map((face) => face.value);
+    expect(values).toHaveLength(sides);
+    expect(new Set(values).size).toBe(sides);
+  });
+
+  it.each(DICE)("%s reads back every face a physics die is turned to", (name, sides) => {
+    const definition = getDieDefinition(sides);
+    definition.faces.forEach((face, i) => {
+      const reading = readFace(definition, faceQuaternion(definition, i, TOP), UP);
+      expect(reading.faceIndex).toBe(i);
+      expect(reading.cocked).toBe(false);
+    });
+  });
+
+  it("verifyDiceFaces passes for the whole registry", () => {
+    expect(verifyDiceFaces()).toBe(true);
+  });
+});
@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { useThree } from "@react-three/fiber";
+import { onTextureRepaint } from "./diceTextures";
+
+// ===== On-demand rendering =====
+// Dice canvases use frameloop="demand": a frame is drawn only when something asks for one.
+// Anything that moves (a tumbling die, a face turning to the camera, a spark burst) requests
+// the next frame from its own useFrame for as long as it is moving, so an idle table draws nothing.
+
+// After a pause the first frame's delta covers the whole idle time; clamp it like a dropped frame
+export const MAX_FRAME_DELTA = 0.1;
+
+// Lives inside a Canvas: draws a frame whenever `deps` change (e.g. the canvas coming back into
+// view mid-roll) and when a face image finishes loading.
+export function RenderOnChange({ deps = [] }) {
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    invalidate();
+  }, deps);
+
+  useEffect(() => onTextureRepaint(() => invalidate()), [invalidate]);
+
+  return null;
+}
+
+// Whether the element behind `ref` is on screen. Stays true where IntersectionObserver is missing.
+export function useOnScreen(ref, { rootMargin = "100px" } = {}) {
+  const [visible, setVisible] = useState(true);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === "undefined") return undefined;
+    const observer = new IntersectionObserver(([entry]) => setVisible(entry.isIntersecting), { rootMargin });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [ref, rootMargin]);
+
+  return visible;
+}
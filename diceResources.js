@@ -0,0 +1,82 @@
+import { useEffect, useState } from "react";
+
+// ===== Shared GPU resources =====
+// Geometries, textures and materials are keyed by everything that shapes them, created once,
+// shared by every die that asks for the same key, and disposed when the last user lets go.
+// Disposal waits DISPOSE_DELAY_MS so a die remounting straight away (notation change, list
+// reorder, StrictMode double effects) picks the same resources back up instead of rebuilding them.
+
+const DISPOSE_DELAY_MS = 1000;
+
+const entries = new Map(); // key -> { value, refs, timer }
+
+// Frees anything three.js holds on the GPU: geometries, materials with their maps, textures,
+// and arrays or plain objects of those
+export function disposeResource(value) {
+  if (!value) return;
+  if (Array.isArray(value)) {
+    value.forEach(disposeResource);
+  } else if (value.isMaterial) {
+    if (value.map) value.map.dispose();
+    value.dispose();
+  } else if (typeof value.dispose === "function") {
+    value.dispose();
+  } else if (typeof value === "object") {
+    Object.values(value).forEach(disposeResource);
+  }
+}
+
+function scheduleDisposal(key, entry) {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => {
+    if (entry.refs > 0 || entries.get(key) !== entry) return;
+    entries.delete(key);
+    disposeResource(entry.value);
+  }, DISPOSE_DELAY_MS);
+}
+
+function entryFor(key, create) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { value: create(), refs: 0, timer: null };
+    entries.set(key, entry);
+    scheduleDisposal(key, entry); // dropped again unless someone acquires it
+  }
+  return entry;
+}
+
+// Take a reference; pair every call with releaseResource(key)
+export function acquireResource(key, create) {
+  const entry = entryFor(key, create);
+  entry.refs += 1;
+  clearTimeout(entry.timer);
+  return entry.value;
+}
+
+export function releaseResource(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entry.refs = Math.max(0, entry.refs - 1);
+  if (entry.refs === 0) scheduleDisposal(key, entry);
+}
+
+// The resource for `key`, held for as long as the component uses that key
+export function useSharedResource(key, create) {
+  const [, refresh] = useState(0);
+  const value = entryFor(key, create).value;
+
+  useEffect(() => {
+    // only differs if the entry was disposed between render and commit
+    if (acquireResource(key, create) !== value) refresh((n) => n + 1);
+    return () => releaseResource(key);
+  }, [key]);
+
+  return value;
+}
+
+// What the cache holds right now, for spotting leaks: { count, refs, keys }
+export function resourceCacheStats() {
+  let refs = 0;
+  entries.forEach((entry) => (refs += entry.refs));
+  return { count: entries.size, refs, keys: [...entries.keys()] };
+}
@@ -0,0 +1,166 @@
+import React from "react";
+import * as THREE from "three";
+import { FLOOR_Y, WALL_HALF_SIZE } from "./dicePhysics";
+import { useSharedResource } from "./diceResources";
+import { createRng } from "./rng";
+
+// ===== Dice table: a visible tray with walls, and lighting presets =====
+// The tray sits exactly where the physics floor and walls are (FLOOR_Y, ±WALL_HALF_SIZE), so a
+// die visibly bounces off what it collides with. A table is a preset name or an object:
+//   surface   floor colour; pattern is "felt", "wood" or "stone" (painted on top of it)
+//   rim       wall colour
+//   roughness / metalness of the floor
+// Objects are merged over their `base` preset (default "felt").
+
+export const TABLE_PRESETS = {
+  felt: { surface: "#1f5e3a", rim: "#4a2c17", pattern: "felt", roughness: 0.95, metalness: 0 },
+  wood: { surface: "#9a6634", rim: "#5d3a1a", pattern: "wood", roughness: 0.55, metalness: 0 },
+  stone: { surface: "#7d7f82", rim: "#55575a", pattern: "stone", roughness: 0.9, metalness: 0 },
+};
+
+// Lighting presets scale each die's own light levels (its registry entry) and tint them:
+//   ambient / key      multipliers for the ambient and the directional (key) light
+//   ambientColor / keyColor, keyPosition
+export const LIGHTING_PRESETS = {
+  // the original lights
+  studio: { ambient: 1, key: 1, ambientColor: "#ffffff", keyColor: "#ffffff", keyPosition: [5, 5, 5] },
+  tavern: { ambient: 0.5, key: 1.4, ambientColor: "#ffd8a8", keyColor: "#ffb060", keyPosition: [2, 5, 3] },
+  daylight: { ambient: 0.9, key: 1.1, ambientColor: "#e8f0ff", keyColor: "#fffaf0", keyPosition: [4, 8, 2] },
+};
+
+export function resolveTable(table) {
+  if (typeof table === "string") {
+    const preset = TABLE_PRESETS[table];
+    if (!preset) {
+      throw new Error(`Unknown dice table "${table}" (available: ${Object.keys(TABLE_PRESETS).join(", ")})`);
+    }
+    return preset;
+  }
+  const { base = "felt", ...overrides } = table;
+  return { ...resolveTable(base), ...overrides };
+}
+
+export function resolveLighting(lighting = "studio") {
+  if (typeof lighting === "string") {
+    const preset = LIGHTING_PRESETS[lighting];
+    if (!preset) {
+      throw new Error(`Unknown lighting "${lighting}" (available: ${Object.keys(LIGHTING_PRESETS).join(", ")})`);
+    }
+    return preset;
+  }
+  return { ...LIGHTING_PRESETS.studio, ...lighting };
+}
+
+const WALL_HEIGHT = 0.5;
+const WALL_THICKNESS = 0.15;
+const PATTERN_SIZE = 256;
+
+// Canvas texture for the floor: the surface colour plus a fixed-seed pattern, so every tray of a
+// kind looks the same
+function makeTablePattern(surface, pattern) {
+  const canvas = document.createElement("canvas");
+  canvas.width = PATTERN_SIZE;
+  canvas.height = PATTERN_SIZE;
+  const ctx = canvas.getContext("2d");
+  const random = createRng(pattern);
+
+  ctx.fillStyle = surface;
+  ctx.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+
+  if (pattern === "felt") {
+    // fine fibres: lots of faint one-pixel specks
+    for (let i = 0; i < 6000; i++) {
+      ctx.fillStyle = random() < 0.5 ? "rgba(255,255,255,0.05)" : "rgba(0,0,0,0.07)";
+      ctx.fillRect(random() * PATTERN_SIZE, random() * PATTERN_SIZE, 1, 1);
+    }
+  } else if (pattern === "wood") {
+    // planks with wavy grain lines
+    for (let y = 0; y < PATTERN_SIZE; y += 2) {
+      const wave = Math.sin(y * 0.05 + random() * 0.3) * 6;
+      ctx.fillStyle = `rgba(60,30,10,${0.05 + random() * 0.12})`;
+      ctx.fillRect(0, y + wave * 0.1, PATTERN_SIZE, 1);
+    }
+    ctx.fillStyle = "rgba(40,20,5,0.45)";
+    for (let x = 0; x < PATTERN_SIZE; x += PATTERN_SIZE / 4) ctx.fillRect(x, 0, 2, PATTERN_SIZE);
+  } else if (pattern === "stone") {
+    // mottled blotches and a few darker flecks
+    for (let i = 0; i < 400; i++) {
+      const shade = Math.floor(random() * 60) - 30;
+      ctx.fillStyle = shade > 0 ? `rgba(255,255,255,${shade / 400})` : `rgba(0,0,0,${-shade / 300})`;
+      ctx.beginPath();
+      ctx.arc(random() * PATTERN_SIZE, random() * PATTERN_SIZE, 2 + random() * 10, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(2, 2);
+  return texture;
+}
+
+// Floor and four walls, inside a Canvas. Receives shadows; the walls cast them too.
+export function DiceTable({ table }) {
+  const look = resolveTable(table);
+  const lookKey = JSON.stringify(look);
+
+  const materials = useSharedResource(`table:${lookKey}`, () => ({
+    floor: new THREE.MeshStandardMaterial({
+      map: makeTablePattern(look.surface, look.pattern),
+      roughness: look.roughness,
+      metalness: look.metalness,
+    }),
+    rim: new THREE.MeshStandardMaterial({ color: look.rim, roughness: 0.6, metalness: 0 }),
+  }));
+
+  const span = WALL_HALF_SIZE * 2 + WALL_THICKNESS * 2;
+  const wallY = FLOOR_Y + WALL_HEIGHT / 2;
+  const wallOffset = WALL_HALF_SIZE + WALL_THICKNESS / 2;
+  const walls = [
+    { position: [0, wallY, -wallOffset], size: [span, WALL_HEIGHT, WALL_THICKNESS] },
+    { position: [0, wallY, wallOffset], size: [span, WALL_HEIGHT, WALL_THICKNESS] },
+    { position: [-wallOffset, wallY, 0], size: [WALL_THICKNESS, WALL_HEIGHT, span] },
+    { position: [wallOffset, wallY, 0], size: [WALL_THICKNESS, WALL_HEIGHT, span] },
+  ];
+
+  return (
+    <group>
+      <mesh position={[0, FLOOR_Y, 0]} rotation={[-Math.PI / 2, 0, 0]} material={materials.floor} receiveShadow>
+        <planeGeometry args={[span, span]} />
+      </mesh>
+      {walls.map((wall, i) => (
+        <mesh key={i} position={wall.position} material={materials.rim} castShadow receiveShadow>
+          <boxGeometry args={wall.size} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+// Ambient plus one directional key light. `base` is the die's own { ambient, directional } levels;
+// with shadows the key light casts them over the whole tray.
+export function TableLights({ lighting, base, shadows = false }) {
+  const preset = resolveLighting(lighting);
+  const extent = WALL_HALF_SIZE + 1;
+
+  return (
+    <>
+      <ambientLight intensity={base.ambient * preset.ambient} color={preset.ambientColor} />
+      <directionalLight
+        position={preset.keyPosition}
+        intensity={base.directional * preset.key}
+        color={preset.keyColor}
+        castShadow={shadows}
+        shadow-mapSize={[1024, 1024]}
+        shadow-camera-left={-extent}
+        shadow-camera-right={extent}
+        shadow-camera-top={extent}
+        shadow-camera-bottom={-extent}
+        shadow-camera-near={0.5}
+        shadow-camera-far={20}
+        shadow-bias={-0.0005}
+      />
+    </>
+  );
+}
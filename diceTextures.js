@@ -0,0 +1,338 @@
+import * as THREE from "three";
+
+// ===== Face content =====
+// A face shows text (numbers, words, emoji) or a picture. Custom faces are given as:
+//   "+" / "🔥" / 3              text
+//   "icons/skull.svg"           an image URL (svg, png, jpg, gif, webp or a data: URL)
+//   { text, value } / { image, value, label }  with an explicit value and report label
+const IMAGE_URL = /^data:image\/|\.(svg|png|jpe?g|gif|webp)(\?.*)?$/i;
+
+export function faceContent(face) {
+  if (face !== null && typeof face === "object") {
+    return face.image ? { image: face.image } : { text: String(face.text ?? "") };
+  }
+  const text = String(face ?? "");
+  return IMAGE_URL.test(text) ? { image: text } : { text };
+}
+
+// A custom face's explicit value, or undefined to fall back to its position
+export function faceEntryValue(face) {
+  return face !== null && typeof face === "object" ? face.value : undefined;
+}
+
+// What a custom face reports as its label on completion
+export function faceEntryLabel(face) {
+  if (face !== null && typeof face === "object") return face.label ?? face.text ?? face.image;
+  return face;
+}
+
+// shrink the font until the text fits (long words on hit-location dice)
+function fitFont(ctx, text, fontPx, maxWidth) {
+  let px = fontPx;
+  ctx.font = `${px}px sans-serif`;
+  while (px > 8 && ctx.measureText(text).width > maxWidth) {
+    px = Math.floor(px * 0.9);
+    ctx.font = `${px}px sans-serif`;
+  }
+}
+
+// Canvases that render on demand redraw when a late image lands on a face
+const repaintListeners = new Set();
+
+export function onTextureRepaint(listener) {
+  repaintListeners.add(listener);
+  return () => repaintListeners.delete(listener);
+}
+
+// ===== Texture atlases =====
+// All faces of one die look share a single canvas: each face is a cell, and each face's texture
+// is a view onto it (same image source, so one GPU upload) showing just its cell.
+// paintCell(ctx, label, size, paintImage) draws one face into a size×size cell at the origin;
+// paintImage(src, { scale, centerY }) draws a picture once it has loaded, or hands it to
+// place(ctx, img) when given, with the cell's transform and clip restored.
+export function makeTextureAtlas(labels, paintCell, size = 256) {
+  const cols = Math.ceil(Math.sqrt(labels.length));
+  const rows = Math.ceil(labels.length / cols);
+  const canvas = document.createElement("canvas");
+  canvas.width = cols * size;
+  canvas.height = rows * size;
+  const ctx = canvas.getContext("2d");
+  const atlas = new THREE.CanvasTexture(canvas);
+  const views = [];
+
+  // clip to the cell so long labels never spill into the neighbouring face
+  const inCell = (col, row, draw) => {
+    ctx.save();
+    ctx.translate(col * size, row * size);
+    ctx.beginPath();
+    ctx.rect(0, 0, size, size);
+    ctx.clip();
+    draw();
+    ctx.restore();
+  };
+
+  labels.forEach((label, i) => {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+
+    // images load asynchronously: the face is drawn without them first and repainted once they arrive
+    const paintImage = (src, { scale, centerY, place }) => {
+      const img = new Image();
+      img.crossOrigin = "anonymous";
+      img.onload = () => {
+        const imageSize = size * scale;
+        inCell(col, row, () =>
+          place ? place(ctx, img) : ctx.drawImage(img, (size - imageSize) / 2, centerY - imageSize / 2, imageSize, imageSize)
+        );
+        views.forEach((view) => (view.needsUpdate = true));
+        repaintListeners.forEach((listener) => listener());
+      };
+      img.src = src;
+    };
+
+    inCell(col, row, () => paintCell(ctx, label, size, paintImage));
+
+    const view = atlas.clone();
+    view.offset.set(col / cols, 1 - (row + 1) / rows); // canvas rows run down, v runs up
+    view.repeat.set(1 / cols, 1 / rows);
+    view.needsUpdate = true;
+    views.push(view);
+  });
+
+  return views;
+}
+
+// ===== Edge labels for triangle faces (the D4) =====
+// The face is drawn in its own equilateral frame: side 100, y up, corner 0 at the top and
+// corners 1 and 2 at the bottom left and right, matching the UVs of the textured polyhedra.
+const TRIANGLE_HEIGHT = 50 * Math.sqrt(3);
+const TRIANGLE = [[50, TRIANGLE_HEIGHT], [0, 0], [100, 0]];
+const CENTROID = [50, TRIANGLE_HEIGHT / 3];
+
+// labels[k] sits along the edge opposite corner k, reading upright with that edge at the bottom
+function paintEdgeLabels(ctx, labels, cell, paintImage, { fg, outline, fontScale }) {
+  const fontSize = 100 * fontScale;
+
+  labels.forEach((label, k) => {
+    const [a, b] = TRIANGLE.filter((_, i) => i !== k);
+    const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const x = CENTROID[0] + (middle[0] - CENTROID[0]) * 0.55;
+    const y = CENTROID[1] + (middle[1] - CENTROID[1]) * 0.55;
+    const angle = Math.atan2(-(TRIANGLE[k][0] - middle[0]), TRIANGLE[k][1] - middle[1]);
+
+    // face frame -> cell pixels, then to the label's spot, turned and flipped so text reads upright
+    const toLabel = (target) => {
+      target.transform(cell / 100, 0, 0, -cell / TRIANGLE_HEIGHT, 0, cell);
+      target.translate(x, y);
+      target.rotate(angle);
+      target.scale(1, -1);
+    };
+
+    const content = faceContent(label);
+    if (content.image) {
+      paintImage(content.image, {
+        place: (target, img) => {
+          toLabel(target);
+          target.drawImage(img, -fontSize / 2, -fontSize / 2, fontSize, fontSize);
+        },
+      });
+      return;
+    }
+
+    ctx.save();
+    toLabel(ctx);
+    ctx.fillStyle = fg;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    fitFont(ctx, content.text, fontSize, 30);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = outline;
+    ctx.strokeText(content.text, 0, 0);
+    ctx.fillText(content.text, 0, 0);
+    ctx.restore();
+  });
+}
+
+// ===== Opaque number faces (body colour + number) =====
+// fontScale / baseline / underline come from each die's registry entry so every die keeps its look;
+// bgcolor / fg / outline come from the theme. layout "edges" takes three labels per face instead
+// of one, printed along its edges (see paintEdgeLabels).
+export function makeNumberAtlas(
+  labels,
+  {
+    size = 256,
+    bgcolor,
+    fg = "#fff",
+    outline = "rgba(0,0,0,0.4)",
+    fontScale = 0.5,
+    baseline = "top",
+    underline = [],
+    layout = "centre",
+  } = {}
+) {
+  return makeTextureAtlas(
+    labels,
+    (ctx, label, cell, paintImage) => {
+      ctx.fillStyle = bgcolor;
+      ctx.fillRect(0, 0, cell, cell);
+
+      if (layout === "edges") {
+        paintEdgeLabels(ctx, label, cell, paintImage, { fg, outline, fontScale });
+        return;
+      }
+
+      const content = faceContent(label);
+      if (content.image) {
+        // triangle faces ("top" baseline) have their centre low in the texture, squares in the middle
+        paintImage(content.image, { scale: fontScale * 0.9, centerY: baseline === "top" ? cell * 0.64 : cell / 2 });
+        return;
+      }
+
+      ctx.fillStyle = fg;
+      fitFont(ctx, content.text, Math.floor(cell * fontScale), cell * (baseline === "top" ? 0.55 : 0.85));
+      ctx.textAlign = "center";
+      ctx.textBaseline = baseline;
+      ctx.lineWidth = Math.floor(cell * 0.03);
+      ctx.strokeStyle = outline;
+      ctx.strokeText(content.text, cell / 2, cell / 2);
+      ctx.fillText(content.text, cell / 2, cell / 2);
+
+      // underline ambiguous numbers (6 / 9) below the glyph
+      if (underline.includes(label)) {
+        const underlineWidth = cell * 0.3;
+        const underlineHeight = cell * 0.02;
+        const underlineY = cell / 2 + cell * 0.25;
+        ctx.fillRect(cell / 2 - underlineWidth / 2, underlineY, underlineWidth, underlineHeight);
+      }
+    },
+    size
+  );
+}
+
+export function makeNumberTexture(label, options) {
+  return makeNumberAtlas([label], options)[0];
+}
+
+// ===== Classic pip faces for the D6 =====
+// Pips sit on a 3×3 grid; pipSize is the pip diameter as a fraction of the face.
+// "inset" shades each pip as if drilled into the die, "flat" paints it on.
+const PIP_GRID = { TL: [0.25, 0.25], TR: [0.75, 0.25], ML: [0.25, 0.5], C: [0.5, 0.5], MR: [0.75, 0.5], BL: [0.25, 0.75], BR: [0.75, 0.75] };
+const PIP_LAYOUTS = {
+  1: ["C"],
+  2: ["TL", "BR"],
+  3: ["TL", "C", "BR"],
+  4: ["TL", "TR", "BL", "BR"],
+  5: ["TL", "TR", "C", "BL", "BR"],
+  6: ["TL", "TR", "ML", "MR", "BL", "BR"],
+};
+
+export function makePipAtlas(counts, { size = 256, bgcolor, fg = "#fff", pipSize = 0.18, pipStyle = "inset" } = {}) {
+  counts.forEach((count) => {
+    if (!PIP_LAYOUTS[count]) throw new Error(`No pip layout for ${count}`);
+  });
+
+  return makeTextureAtlas(
+    counts,
+    (ctx, count, cell) => {
+      ctx.fillStyle = bgcolor;
+      ctx.fillRect(0, 0, cell, cell);
+
+      const r = (cell * pipSize) / 2;
+      PIP_LAYOUTS[count].forEach((spot) => {
+        const x = PIP_GRID[spot][0] * cell;
+        const y = PIP_GRID[spot][1] * cell;
+
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fillStyle = fg;
+        ctx.fill();
+
+        if (pipStyle === "inset") {
+          // darker towards the upper-left rim, like light falling into a hollow
+          const shade = ctx.createRadialGradient(x + r * 0.3, y + r * 0.3, r * 0.1, x, y, r);
+          shade.addColorStop(0, "rgba(0,0,0,0)");
+          shade.addColorStop(1, "rgba(0,0,0,0.45)");
+          ctx.fillStyle = shade;
+          ctx.fill();
+        }
+      });
+    },
+    size
+  );
+}
+
+export function makePipTexture(count, options) {
+  return makePipAtlas([count], options)[0];
+}
+
+// ===== Transparent number sprites for dice whose labels float over the face =====
+export function makeSpriteAtlas(
+  labels,
+  { size = 256, fg = "#ffffff", outline = "rgba(0,0,0,0.35)", fontScale = 0.75, lineWidth = 0.04, underline = [] } = {}
+) {
+  return makeTextureAtlas(
+    labels,
+    (ctx, label, cell, paintImage) => {
+      const content = faceContent(label);
+      if (content.image) {
+        paintImage(content.image, { scale: fontScale, centerY: cell / 2 });
+        return;
+      }
+
+      ctx.fillStyle = fg;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      fitFont(ctx, content.text, Math.floor(cell * fontScale), cell * 0.95);
+
+      // Number stroke + fill
+      ctx.lineWidth = cell * lineWidth;
+      ctx.strokeStyle = outline;
+      ctx.strokeText(content.text, cell / 2, cell / 2);
+      ctx.fillText(content.text, cell / 2, cell / 2);
+
+      // Underline 6 and 9
+      if (underline.includes(label)) {
+        const y = cell / 2 + cell * 0.28;
+        const len = cell * 0.33;
+        ctx.beginPath();
+        ctx.strokeStyle = fg;
+        ctx.lineWidth = cell * lineWidth * 1.5;
+        ctx.moveTo(cell / 2 - len / 2, y);
+        ctx.lineTo(cell / 2 + len / 2, y);
+        ctx.stroke();
+      }
+    },
+    size
+  );
+}
+
+export function makeNumberSprite(label, options) {
+  return makeSpriteAtlas([label], options)[0];
+}
+
+// ===== Label placement: a flat number plane lying on the face, in die-local space =====
+// face = { center, normal, up } from the registry; offset is [right, up] inside the face plane.
+// The plane geometry and sprite material are shared (see diceResources.js); only the mesh is new.
+export function makeFaceLabel(face, { geometry, material }, { lift = 0.025, offset = [0, 0] } = {}) {
+  const group = new THREE.Group();
+
+  // Build local coordinate system for the face: right = up × normal, then re-square up
+  const n = face.normal.clone().normalize();
+  const right = new THREE.Vector3().crossVectors(face.up, n).normalize();
+  const up = new THREE.Vector3().crossVectors(n, right).normalize();
+
+  const mat = new THREE.Matrix4().makeBasis(right, up, n);
+  const q = new THREE.Quaternion().setFromRotationMatrix(mat);
+
+  const numPlane = new THREE.Mesh(geometry, material);
+
+  numPlane.position
+    .copy(face.center)
+    .addScaledVector(n, lift)
+    .addScaledVector(right, offset[0])
+    .addScaledVector(up, offset[1]);
+  numPlane.quaternion.copy(q);
+
+  group.add(numPlane);
+  return group;
+}
@@ -0,0 +1,64 @@
+// ===== Dice themes =====
+// A theme sets the die body, the numbers and the material for every die at once:
+//   body      body colour; leave it out to keep each die's own colour from the registry
+//   colors    per-die body overrides, keyed by sides ({ 20: "#ad1457" })
+//   number    number colour; outline is the stroke drawn around it
+//   material  roughness / metalness, merged over the die's own
+// Anywhere a theme is accepted, a preset name or a partial theme object (merged over "classic") works.
+
+export const DICE_THEMES = {
+  // the original look: each die keeps its own colour, white numbers with the default outline
+  classic: {
+    number: "#ffffff",
+  },
+  obsidian: {
+    body: "#1b1b1f",
+    number: "#d4af37",
+    outline: "rgba(0,0,0,0.6)",
+    material: { roughness: 0.25, metalness: 0.3 },
+  },
+  ivory: {
+    body: "#f3ead7",
+    number: "#3e2723",
+    outline: "rgba(255,255,255,0.35)",
+    material: { roughness: 0.6, metalness: 0.0 },
+  },
+  amethyst: {
+    body: "#6a1b9a",
+    number: "#f3e5f5",
+    outline: "rgba(0,0,0,0.5)",
+    material: { roughness: 0.15, metalness: 0.1 },
+  },
+  brass: {
+    body: "#b08d57",
+    number: "#2b1d0e",
+    outline: "rgba(255,255,255,0.25)",
+    material: { roughness: 0.35, metalness: 0.8 },
+  },
+};
+
+export const DEFAULT_THEME = "classic";
+
+// Theme name or object -> full theme object
+export function resolveTheme(theme = DEFAULT_THEME) {
+  if (typeof theme === "string") {
+    const preset = DICE_THEMES[theme];
+    if (!preset) {
+      throw new Error(`Unknown dice theme "${theme}" (available: ${Object.keys(DICE_THEMES).join(", ")})`);
+    }
+    return preset;
+  }
+  return { ...DICE_THEMES[DEFAULT_THEME], ...theme };
+}
+
+// What one die should look like under a theme: { color, number, outline, material }
+export function themeForDie(theme, definition) {
+  const resolved = resolveTheme(theme);
+  const override = resolved.colors && resolved.colors[definition.sides];
+  return {
+    color: override || resolved.body || definition.color,
+    number: resolved.number,
+    outline: resolved.outline,
+    material: { ...definition.material, ...resolved.material },
+  };
+}
@@ -0,0 +1,240 @@
+// ===== Roll history store =====
+// A small subscribable log of settled rolls, persisted to localStorage.
+// Entry: { id, timestamp, die, label, rolls, modifiers, value }
+//   die       "d20", "d100", "2d20kh1" (advantage) or a DiceTray notation such as "2d6+1d8+3"
+//   rolls     every die value that went into the result
+//   modifiers flat numbers added on top (signed)
+//   value     the final result (kept die, percentile or total)
+
+const DEFAULT_STORAGE_KEY = "dnd-dice-roll-history";
+const DEFAULT_LIMIT = 500;
+const CSV_COLUMNS = ["id", "timestamp", "die", "label", "rolls", "modifiers", "value"];
+const REQUIRED_CSV_COLUMNS = CSV_COLUMNS.slice(1); // hand-written logs may leave ids out
+
+let nextId = 0;
+const makeId = () => `${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+function browserStorage() {
+  try {
+    return typeof window !== "undefined" && window.localStorage ? window.localStorage : null;
+  } catch (e) {
+    return null; // storage blocked (privacy mode, sandboxed iframe)
+  }
+}
+
+// A number, or a string holding one (CSV cells); NaN for anything else, including ""
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+// Fill in defaults and reject anything that is not a roll. `where` names the entry in the
+// message ("entry 3", "row 4"), so a bad line in an imported file can be found.
+function normalizeEntry(entry, where = "entry") {
+  const invalid = (reason) => new Error(`Invalid roll history ${where}: ${reason}`);
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) throw invalid("not a roll object");
+  if (typeof entry.die !== "string" || !entry.die.trim()) throw invalid("missing die");
+
+  const value = toNumber(entry.value);
+  if (!Number.isFinite(value)) throw invalid(`value ${JSON.stringify(entry.value)} is not a number`);
+
+  const numbers = (name) => {
+    const list = entry[name] === undefined || entry[name] === null ? [] : entry[name];
+    if (!Array.isArray(list)) throw invalid(`${name} must be a list of numbers`);
+    return list.map((item) => {
+      const number = toNumber(item);
+      if (!Number.isFinite(number)) throw invalid(`${name} holds ${JSON.stringify(item)}, not a number`);
+      return number;
+    });
+  };
+
+  let timestamp = Date.now();
+  if (entry.timestamp !== undefined && entry.timestamp !== null && entry.timestamp !== "") {
+    timestamp = typeof entry.timestamp === "string" ? Date.parse(entry.timestamp) : entry.timestamp;
+    if (!Number.isFinite(timestamp)) throw invalid(`timestamp ${JSON.stringify(entry.timestamp)} is not a date`);
+  }
+
+  if (entry.label !== undefined && entry.label !== null && typeof entry.label !== "string") {
+    throw invalid("label must be text");
+  }
+
+  return {
+    id: entry.id ? String(entry.id) : makeId(),
+    timestamp,
+    die: entry.die,
+    label: entry.label || "",
+    rolls: numbers("rolls"),
+    modifiers: numbers("modifiers"),
+    value,
+  };
+}
+
+// ===== JSON / CSV =====
+
+export function historyToJSON(entries) {
+  return JSON.stringify(entries, null, 2);
+}
+
+export function historyFromJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Roll history is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error("Roll history JSON must be an array of rolls");
+  }
+  return data.map((entry, i) => normalizeEntry(entry, `entry ${i + 1}`));
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rolls and modifiers are space-separated inside their cell
+export function historyToCSV(entries) {
+  const rows = entries.map((entry) =>
+    [
+      entry.id,
+      new Date(entry.timestamp).toISOString(),
+      entry.die,
+      entry.label,
+      entry.rolls.join(" "),
+      entry.modifiers.join(" "),
+      entry.value,
+    ]
+      .map(csvField)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+// RFC 4180-ish: quoted fields may hold commas, doubled quotes and newlines
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+// checked as numbers by normalizeEntry, which names the row of a bad one
+const splitList = (cell) => (cell || "").split(/\s+/).filter(Boolean);
+
+export function historyFromCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  const columns = (header || []).map((name) => name.trim());
+  const missing = REQUIRED_CSV_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length) {
+    throw new Error(`Roll history CSV is missing column(s): ${missing.join(", ")}`);
+  }
+
+  return rows.map((cells, i) => {
+    const cell = (name) => cells[columns.indexOf(name)];
+    const entry = {
+      id: cell("id"),
+      timestamp: cell("timestamp"),
+      die: cell("die"),
+      label: cell("label"),
+      rolls: splitList(cell("rolls")),
+      modifiers: splitList(cell("modifiers")),
+      value: cell("value"),
+    };
+    return normalizeEntry(entry, `row ${i + 1}`);
+  });
+}
+
+// ===== Store =====
+// entries are replaced (never mutated) on every change, so they can be compared by reference.
+export function createRollHistory({ storageKey = DEFAULT_STORAGE_KEY, limit = DEFAULT_LIMIT, storage } = {}) {
+  const store = storage === undefined ? browserStorage() : storage;
+  const listeners = new Set();
+  let entries = null; // loaded on first use, so creating a store never touches storage
+
+  const load = () => {
+    if (entries) return entries;
+    entries = [];
+    if (store && storageKey) {
+      try {
+        const saved = store.getItem(storageKey);
+        if (saved) entries = historyFromJSON(saved);
+      } catch (e) {
+        entries = []; // a corrupt log is dropped rather than breaking every roll
+      }
+    }
+    return entries;
+  };
+
+  const commit = (next) => {
+    entries = next.length > limit ? next.slice(next.length - limit) : next;
+    if (store && storageKey) {
+      try {
+        store.setItem(storageKey, JSON.stringify(entries));
+      } catch (e) {
+        // quota exceeded: keep the in-memory log
+      }
+    }
+    listeners.forEach((listener) => listener(entries));
+  };
+
+  // merged by id and kept in time order
+  const merge = (incoming) => {
+    const byId = new Map(load().map((entry) => [entry.id, entry]));
+    incoming.forEach((entry) => byId.set(entry.id, entry));
+    commit([...byId.values()].sort((a, b) => a.timestamp - b.timestamp));
+  };
+
+  return {
+    getEntries: load,
+    add(entry) {
+      const saved = normalizeEntry({ ...entry, id: undefined, timestamp: entry.timestamp || Date.now() });
+      commit([...load(), saved]);
+      return saved;
+    },
+    clear() {
+      commit([]);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    exportJSON: () => historyToJSON(load()),
+    exportCSV: () => historyToCSV(load()),
+    importJSON: (text) => merge(historyFromJSON(text)),
+    importCSV: (text) => merge(historyFromCSV(text)),
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { createRollHistory, historyFromCSV, historyFromJSON, historyToCSV, historyToJSON } from "./historyStore";
+
+// a store that touches no storage
+const memoryHistory = () => createRollHistory({ storage: null });
+
+function sampleEntries() {
+  const history = memoryHistory();
+  history.add({ die: "d20", rolls: [17], value: 17, label: "Attack", timestamp: Date.UTC(2026, 0, 2, 18, 30) });
+  history.add({ die: "2d6+1d8+3", rolls: [4, 6, 2], modifiers: [3], value: 15, label: 'Fireball, "big"', timestamp: Date.UTC(2026, 0, 2, 18, 31) });
+  history.add({ die: "1d8-1", rolls: [1], modifiers: [-1], value: 0, label: "line one\nline two", timestamp: Date.UTC(2026, 0, 2, 18, 32) });
+  return history.getEntries();
+}
+
+describe("roll history JSON and CSV", () => {
+  it("round-trips entries through JSON", () => {
+    const entries = sampleEntries();
+    expect(historyFromJSON(historyToJSON(entries))).toEqual(entries);
+  });
+
+  it("round-trips entries through CSV, quotes, commas and newlines included", () => {
+    const entries = sampleEntries();
+    expect(historyFromCSV(historyToCSV(entries))).toEqual(entries);
+  });
+
+  it("merges an export back into a store by id", () => {
+    const entries = sampleEntries();
+    const history = memoryHistory();
+    history.importCSV(historyToCSV(entries));
+    history.importJSON(historyToJSON(entries));
+    expect(history.getEntries()).toEqual(entries);
+  });
+
+  it("fills in ids and takes CSV files without an id column", () => {
+    const [entry] = historyFromCSV("timestamp,die,label,rolls,modifiers,value\n2026-01-02T18:30:00.000Z,d20,,12,,12");
+    expect(entry.id).toEqual(expect.any(String));
+    expect(entry).toMatchObject({ die: "d20", label: "", rolls: [12], modifiers: [], value: 12 });
+  });
+
+  it.each([
+    ["a non-object", [7], "entry 1: not a roll object"],
+    ["a missing die", [{ value: 3 }], "entry 1: missing die"],
+    ["a missing value", [{ die: "d6", value: "" }], 'entry 1: value "" is not a number'],
+    ["a roll that is not a number", [{ die: "d6", value: 3 }, { die: "d6", rolls: [3, "x"], value: 3 }], 'entry 2: rolls holds "x"'],
+    ["rolls that are not a list", [{ die: "d6", rolls: "3", value: 3 }], "entry 1: rolls must be a list"],
+    ["a bad timestamp", [{ die: "d6", value: 3, timestamp: "yesterday" }], 'entry 1: timestamp "yesterday" is not a date'],
+    ["a label that is not text", [{ die: "d6", value: 3, label: 5 }], "entry 1: label must be text"],
+  ])("rejects JSON with %s", (_, data, message) => {
+    expect(() => historyFromJSON(JSON.stringify(data))).toThrow(message);
+  });
+
+  it("names the CSV row of a bad entry", () => {
+    const csv = "die,timestamp,label,rolls,modifiers,value\nd20,,,12,,12\nd6,,,3 four,,7";
+    expect(() => historyFromCSV(csv)).toThrow('Invalid roll history row 2: rolls holds "four", not a number');
+  });
+
+  it("leaves the log as it was when an import is rejected", () => {
+    const history = memoryHistory();
+    history.add({ die: "d20", rolls: [5], value: 5 });
+    const before = history.getEntries();
+    expect(() => history.importJSON(JSON.stringify([{ die: "d6", value: 2 }, { value: 3 }]))).toThrow("entry 2");
+    expect(history.getEntries()).toBe(before);
+  });
+});
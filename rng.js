@@ -0,0 +1,32 @@
+// ===== Seeded random source =====
+// mulberry32: tiny and fast, returns floats in [0, 1) exactly like Math.random,
+// so anything that takes a random function accepts either.
+
+// Numbers are used as-is (as 32-bit integers); strings are hashed with FNV-1a
+function hashSeed(seed) {
+  if (typeof seed === "number") return Math.floor(seed) >>> 0;
+
+  let h = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Draw a 32-bit seed for one roll from a parent source
+export function nextSeed(random = Math.random) {
+  return Math.floor(random() * 4294967296) >>> 0;
+}
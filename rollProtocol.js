@@ -0,0 +1,100 @@
+// ===== Roll broadcast protocol =====
+// One message per throw, sent as the die leaves the hand so every table animates it together:
+//   {
+//     type: "roll", version: 1,
+//     id:        unique message id
+//     rollerId:  who threw it (receivers ignore their own rolls)
+//     dieId:     which die on the table (the syncId prop), so the right component replays it
+//     die:       "d20" etc., checked against the receiving die
+//     seed:      32-bit per-roll seed; it alone fixes direction, spin and (scripted) face
+//     direction: [x, y, z] throw direction (its length is the throw's power)
+//     spin:      [x, y, z] spin of a hand-thrown die (drag or shake), replayed with direction;
+//                null for clicks, whose spin follows from the seed
+//     physics:   whether it was a rigid-body throw
+//     result:    the value it lands on; null for physics throws, which are simulated as they fly
+//     timestamp: ms since epoch on the roller's clock
+//   }
+// A physics throw is followed by one more message once the roller's die comes to rest, since
+// floating-point engines need not simulate the same tumble to the same face:
+//   { type: "settled", version: 1, id, rollerId, dieId, die, seed, result, timestamp }
+// seed names the throw it belongs to and result is the value the roller's die landed on; every
+// replay reports that value, turning its die to the face if its own simulation came up otherwise.
+// Messages travel as JSON text.
+
+export const ROLL_PROTOCOL_VERSION = 1;
+
+let nextId = 0;
+
+export function createRollMessage({ rollerId, dieId, die, seed, direction, spin = null, physics = false, result = null }) {
+  return {
+    type: "roll",
+    version: ROLL_PROTOCOL_VERSION,
+    id: `${rollerId}-${Date.now().toString(36)}-${(nextId++).toString(36)}`,
+    rollerId,
+    dieId,
+    die,
+    seed,
+    direction,
+    spin,
+    physics,
+    result,
+    timestamp: Date.now(),
+  };
+}
+
+export function createSettledMessage({ rollerId, dieId, die, seed, result }) {
+  return {
+    type: "settled",
+    version: ROLL_PROTOCOL_VERSION,
+    id: `${rollerId}-${Date.now().toString(36)}-${(nextId++).toString(36)}`,
+    rollerId,
+    dieId,
+    die,
+    seed,
+    result,
+    timestamp: Date.now(),
+  };
+}
+
+// a 3-vector of finite numbers
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function invalid(reason) {
+  return new Error(`Invalid roll message: ${reason}`);
+}
+
+// Accepts a message object or its JSON text; throws on anything that is not a roll (or a physics
+// roll's settled result) we understand
+export function parseRollMessage(data) {
+  let message = data;
+  if (typeof data === "string") {
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      throw invalid("not JSON");
+    }
+  }
+
+  if (!message || (message.type !== "roll" && message.type !== "settled")) throw invalid(`unexpected type ${message && message.type}`);
+  if (message.version !== ROLL_PROTOCOL_VERSION) {
+    throw invalid(`version ${message.version} (this client speaks ${ROLL_PROTOCOL_VERSION})`);
+  }
+  if (typeof message.rollerId !== "string" || !message.rollerId) throw invalid("missing rollerId");
+  if (typeof message.dieId !== "string" || !message.dieId) throw invalid("missing dieId");
+  if (!/^d\d+$/.test(message.die)) throw invalid(`bad die ${message.die}`);
+  if (!Number.isInteger(message.seed) || message.seed < 0 || message.seed > 0xffffffff) {
+    throw invalid(`bad seed ${message.seed}`);
+  }
+  if (message.type === "settled") {
+    if (!Number.isFinite(message.result)) throw invalid("settled roll without a result");
+    return message;
+  }
+  if (!isVector(message.direction)) throw invalid("bad direction");
+  const { spin } = message;
+  if (spin !== null && spin !== undefined && !isVector(spin)) throw invalid("bad spin");
+  if (!message.physics && !Number.isFinite(message.result)) throw invalid("scripted roll without a result");
+
+  return message;
+}
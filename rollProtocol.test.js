@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { createRollMessage, createSettledMessage, parseRollMessage } from "./rollProtocol";
+
+const roll = createRollMessage({
+  rollerId: "alice",
+  dieId: "alice-d20",
+  die: "d20",
+  seed: 1234,
+  direction: [0.2, 0.5, -0.3],
+  physics: true,
+});
+
+describe("parseRollMessage", () => {
+  it("reads back the messages it creates, as objects or JSON", () => {
+    expect(parseRollMessage(roll)).toEqual(roll);
+    expect(parseRollMessage(JSON.stringify(roll))).toEqual(roll);
+    const settled = createSettledMessage({ rollerId: "alice", dieId: "alice-d20", die: "d20", seed: 1234, result: 17 });
+    expect(parseRollMessage(JSON.stringify(settled))).toEqual(settled);
+  });
+
+  it.each([
+    ["a direction with a missing element", { ...roll, direction: [0.2, 0.5] }, "bad direction"],
+    ["a direction with a string in it", { ...roll, direction: [0.2, "0.5", -0.3] }, "bad direction"],
+    ["a direction with null in it", { ...roll, direction: [0.2, null, -0.3] }, "bad direction"],
+    ["a spin that is not numbers", { ...roll, spin: [1, 2, "x"] }, "bad spin"],
+    ["a scripted roll without a result", { ...roll, physics: false }, "scripted roll without a result"],
+    ["a settled message without a result", { ...roll, type: "settled" }, "settled roll without a result"],
+    ["another type", { ...roll, type: "chat" }, "unexpected type chat"],
+    ["another version", { ...roll, version: 2 }, "version 2"],
+    ["a bad seed", { ...roll, seed: -1 }, "bad seed"],
+  ])("rejects %s", (_, message, reason) => {
+    expect(() => parseRollMessage(message)).toThrow(reason);
+  });
+
+  it("rejects text that is not JSON", () => {
+    expect(() => parseRollMessage("{roll")).toThrow("not JSON");
+  });
+});
@@ -0,0 +1,152 @@
+// ===== Local roll relay =====
+// A tiny WebSocket relay for testing multiplayer rolls: every text message a client sends is
+// forwarded to all other connected clients. No dependencies, Node 18+.
+//
+//   node rollRelay.mjs [port]        (default 8787)
+//
+// Then point createWebSocketTransport("ws://localhost:8787") at it from each browser.
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024; // roll messages are a few hundred bytes
+// most a connection may hold unprocessed: partial frames plus the fragments of an unfinished message
+const MAX_BUFFERED_BYTES = 2 * MAX_MESSAGE_BYTES;
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const clients = new Set();
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull one complete frame off the front of `buffer`, or null if more bytes are needed
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (length > MAX_MESSAGE_BYTES) throw new Error(`frame of ${length} bytes is too large`);
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, size: offset + maskLength + length };
+}
+
+function broadcast(sender, text) {
+  const frame = encodeFrame(OPCODES.text, Buffer.from(text, "utf8"));
+  for (const client of clients) {
+    if (client !== sender && !client.destroyed) client.write(frame);
+  }
+}
+
+function handleConnection(socket) {
+  let pending = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  clients.add(socket);
+
+  const drop = () => {
+    clients.delete(socket);
+    socket.destroy();
+  };
+
+  socket.on("data", (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    try {
+      let frame;
+      while ((frame = decodeFrame(pending))) {
+        pending = pending.subarray(frame.size);
+
+        if (frame.opcode === OPCODES.close) {
+          socket.end(encodeFrame(OPCODES.close));
+          clients.delete(socket);
+          return;
+        }
+        if (frame.opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+          continue;
+        }
+        if (frame.opcode !== OPCODES.text && frame.opcode !== OPCODES.continuation) continue;
+
+        fragments.push(frame.payload);
+        fragmentBytes += frame.payload.length;
+        if (fragmentBytes > MAX_MESSAGE_BYTES) throw new Error(`message of ${fragmentBytes} bytes is too large`);
+        if (frame.fin) {
+          const text = Buffer.concat(fragments).toString("utf8");
+          fragments = [];
+          fragmentBytes = 0;
+          broadcast(socket, text);
+        }
+      }
+      if (pending.length + fragmentBytes > MAX_BUFFERED_BYTES) throw new Error("too much buffered");
+    } catch (e) {
+      drop(); // oversized or garbled frames and messages end the connection
+    }
+  });
+
+  socket.on("close", () => clients.delete(socket));
+  socket.on("error", drop);
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain" });
+  res.end(`roll relay: ${clients.size} client(s) connected\n`);
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  handleConnection(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`roll relay listening on ws://localhost:${PORT}`);
+});
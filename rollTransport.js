@@ -0,0 +1,65 @@
+import { parseRollMessage } from "./rollProtocol";
+
+// ===== Roll transports =====
+// A transport moves roll messages between browsers. Anything with this shape works:
+//   send(message)        deliver a message to every other client
+//   subscribe(listener)  listener(message) for each valid incoming message; returns an unsubscribe
+//   close()              stop for good
+// Messages from the network are validated with parseRollMessage; malformed ones are dropped.
+
+// WebSocket transport with a send queue (messages sent while connecting go out on open)
+// and automatic reconnects. Pair it with rollRelay.mjs for local testing.
+export function createWebSocketTransport(url, { reconnectMs = 1000, WebSocketImpl } = {}) {
+  const SocketClass = WebSocketImpl || (typeof WebSocket !== "undefined" ? WebSocket : null);
+  if (!SocketClass) {
+    throw new Error("createWebSocketTransport needs a WebSocket implementation in this environment");
+  }
+
+  const listeners = new Set();
+  const queue = [];
+  let socket = null;
+  let closed = false;
+  let retryTimer = null;
+
+  const connect = () => {
+    socket = new SocketClass(url);
+
+    socket.onopen = () => {
+      while (queue.length) socket.send(queue.shift());
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = parseRollMessage(event.data);
+      } catch (e) {
+        return; // not ours, or from an incompatible client
+      }
+      listeners.forEach((listener) => listener(message));
+    };
+
+    socket.onclose = () => {
+      if (!closed) retryTimer = setTimeout(connect, reconnectMs);
+    };
+  };
+
+  connect();
+
+  return {
+    send(message) {
+      const text = JSON.stringify(message);
+      if (socket.readyState === 1) socket.send(text); // OPEN
+      else queue.push(text);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      listeners.clear();
+      socket.close();
+    },
+  };
+}
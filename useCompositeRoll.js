@@ -0,0 +1,181 @@
+import { createRef, useEffect, useImperativeHandle, useRef, useState } from "react";
+import { useRollRecorder } from "./RollHistory";
+import { useAnnouncer, useIsNestedDie, useNestedActivate } from "./diceAccessibility";
+import { partId, usePartReplays } from "./RollSync";
+
+// ===== Roll state shared by dice thrown as a group (D100, advantage pairs) =====
+// `parts` names the dice in the group (they become part of each die's seed and syncId); the
+// component renders one die per part with {...group.partProps(i)}. What the group makes of its
+// dice is up to the component:
+//   compose(values, partResults) -> { value, faceIndex, historyDie, announcement, fields }
+//     value the group reports, the face behind it (or null), the die name logged to the history,
+//     the announcement (without the label) and extra fields for the result object
+//   split(target) -> one value per part, for rollTo() and controlled mode
+// The ref exposes roll(), rollTo(), reset() and getResult() like a single die's. onRollStart /
+// onBounce / onSettle / onRollComplete fire for the group as a whole, onComplete(result) right after.
+// A group inside another (a D100 in a DiceTray) is nested like a single die: it leaves focus and
+// announcements to the outer group, and `activate` rolls the outer group.
+export default function useCompositeRoll(
+  { dieType, parts, compose, split, extra = {} },
+  {
+    onRollStart,
+    onBounce,
+    onSettle,
+    onRollComplete,
+    onComplete,
+    rollSignal = 0,
+    value,
+    rollId,
+    onRequestRoll,
+    label,
+    seed,
+    syncId,
+    onReplay,
+  },
+  ref
+) {
+  const history = useRollRecorder();
+  const nested = useIsNestedDie();
+  const activateComposite = useNestedActivate();
+  const [announcement, announce] = useAnnouncer();
+  const refs = useRef(parts.map(() => createRef())).current;
+  const inFlight = useRef(null);   // promise for the group roll in flight, null when idle
+  const rollCount = useRef(0);     // only the latest group roll reports
+  const lastResult = useRef(null);
+  const requests = useRef([]);     // controlled roll() calls waiting for the owner's value
+  const partResults = useRef([]);  // latest result object from each part
+  const [values, setValues] = useState(null); // the parts' values once the group settles
+
+  const settleRequests = (result) => {
+    const pending = requests.current;
+    requests.current = [];
+    pending.forEach((resolve) => resolve(result));
+  };
+
+  // the group reports its own seed prop (null without one); each part carries the seed it rolled with
+  const groupSeed = seed === undefined ? null : seed;
+
+  // the group's result object before it settles, for onRollStart and onBounce
+  const pendingInfo = () => ({
+    dieType,
+    value: null,
+    label: null,
+    faceIndex: null,
+    seed: groupSeed,
+    timestamp: Date.now(),
+    ...extra,
+  });
+
+  const settle = (rolls) => {
+    const id = ++rollCount.current;
+    setValues(null);
+    if (onRollStart) onRollStart(pendingInfo());
+    return Promise.all(rolls).then((settled) => {
+      if (settled.includes(null)) {
+        if (id === rollCount.current) inFlight.current = null;
+        settleRequests(null);
+        return null; // reset mid-roll
+      }
+
+      const composed = compose(settled, partResults.current);
+      if (id !== rollCount.current) return composed.value; // superseded by a rollTo() mid-roll
+      inFlight.current = null;
+      lastResult.current = composed.value;
+      setValues(settled);
+      if (history) history.add({ die: composed.historyDie, rolls: settled, value: composed.value, label });
+      if (!nested) announce(`${label ? `${label}: ` : ""}${composed.announcement}`);
+      const rollResult = {
+        dieType,
+        value: composed.value,
+        label: String(composed.value),
+        faceIndex: composed.faceIndex,
+        seed: groupSeed,
+        timestamp: Date.now(),
+        ...extra,
+        ...composed.fields,
+        parts: [...partResults.current],
+      };
+      if (onSettle) onSettle(rollResult);
+      if (onRollComplete) onRollComplete(rollResult);
+      if (onComplete) onComplete(rollResult);
+      settleRequests(composed.value);
+      return composed.value;
+    });
+  };
+
+  const roll = () => {
+    if (!inFlight.current) {
+      inFlight.current = settle(refs.map((part) => part.current.roll()));
+    }
+    return inFlight.current;
+  };
+
+  // like a single die, a group already rolling is thrown again towards the new value
+  const rollTo = (target) => {
+    const targets = split(target);
+    inFlight.current = settle(refs.map((part, i) => part.current.rollTo(targets[i])));
+    return inFlight.current;
+  };
+
+  const reset = () => {
+    refs.forEach((part) => part.current.reset());
+    lastResult.current = null;
+    setValues(null);
+    settleRequests(null);
+  };
+
+  // controlled: ask the owner for a result and wait for it to arrive through `value`
+  const requestRoll = () => {
+    if (value === undefined) return roll();
+
+    const requested = new Promise((resolve) => requests.current.push(resolve));
+    if (!inFlight.current && onRequestRoll) {
+      onRequestRoll();
+    }
+    return requested;
+  };
+
+  // another player's throw, arriving one die at a time
+  const replayPart = usePartReplays(
+    parts.map((_, i) => i),
+    (rolls) => {
+      inFlight.current = settle(rolls);
+      if (onReplay) onReplay(inFlight.current);
+    }
+  );
+
+  const handleBounce = ({ strength }) => {
+    if (onBounce) onBounce({ ...pendingInfo(), strength });
+  };
+
+  useImperativeHandle(ref, () => ({ roll: requestRoll, rollTo, reset, getResult: () => lastResult.current }));
+
+  // Roll whenever the parent bumps rollSignal, same contract as the single dice
+  useEffect(() => {
+    if (rollSignal) requestRoll();
+  }, [rollSignal]);
+
+  // an array value (a pair) is compared by content, not identity
+  const valueKey = JSON.stringify(value);
+  useEffect(() => {
+    if (value !== undefined && value !== null) rollTo(value);
+  }, [valueKey, rollId]);
+
+  return {
+    values,
+    nested,
+    announcement,
+    requestRoll,
+    // a click or key on any die of the group rolls it, or the group it sits in
+    activate: nested && activateComposite ? activateComposite : requestRoll,
+    // props for the die standing in for part i
+    partProps: (i) => ({
+      ref: refs[i],
+      seed: partId(seed, parts[i]),
+      syncId: partId(syncId, parts[i]),
+      onBounce: handleBounce,
+      onRollComplete: (part) => (partResults.current[i] = part),
+      onReplay: (finished) => replayPart(i, finished),
+    }),
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it, vi } from "vitest";
+import React from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import useCompositeRoll from "./useCompositeRoll";
+import { NestedDice } from "./diceAccessibility";
+
+// a part that settles when the test says so
+function fakeDie() {
+  const die = { pending: [] };
+  const next = () => new Promise((resolve) => die.pending.push(resolve));
+  die.roll = vi.fn(next);
+  die.rollTo = vi.fn(next);
+  die.reset = vi.fn(() => die.pending.splice(0).forEach((resolve) => resolve(null)));
+  die.land = (value) => die.pending.shift()(value);
+  return die;
+}
+
+const SUM = {
+  dieType: "d6",
+  parts: ["a", "b"],
+  compose: (values) => {
+    const total = values[0] + values[1];
+    return { value: total, faceIndex: null, historyDie: "2d6", announcement: `rolled ${total}`, fields: { rolls: values } };
+  },
+  split: (target) => [target - 1, 1],
+};
+
+// renders the hook over two fake parts; `ref` gets the group's roll(), rollTo(), reset() and
+// `latest` its state. outer={activate} puts the group inside another one.
+function mountGroup(options = {}, { ref = React.createRef(), outer } = {}) {
+  const dice = [fakeDie(), fakeDie()];
+  const latest = {};
+  function Probe() {
+    const group = useCompositeRoll(SUM, options, ref);
+    Object.assign(latest, group);
+    dice.forEach((die, i) => (group.partProps(i).ref.current = die));
+    return null;
+  }
+  const probe = React.createElement(Probe);
+  act(() => {
+    TestRenderer.create(outer ? React.createElement(NestedDice, { onActivate: outer }, probe) : probe);
+  });
+  return { dice, ref, latest };
+}
+
+describe("useCompositeRoll", () => {
+  it("settles once every part has landed and reports for the group", async () => {
+    const onRollStart = vi.fn();
+    const onRollComplete = vi.fn();
+    const { dice } = mountGroup({ onRollStart, onRollComplete, rollSignal: 1, seed: "pair-7" });
+
+    expect(onRollStart).toHaveBeenCalledTimes(1);
+    await act(async () => {
+      dice[0].land(3);
+      dice[1].land(4);
+    });
+    expect(onRollComplete).toHaveBeenCalledTimes(1);
+    expect(onRollComplete.mock.calls[0][0]).toMatchObject({ dieType: "d6", value: 7, rolls: [3, 4], seed: "pair-7" });
+    expect(onRollStart.mock.calls[0][0].seed).toBe("pair-7");
+  });
+
+  it("rolls each part to its share of a rollTo() target and resolves with the group value", async () => {
+    const { dice, ref } = mountGroup();
+
+    let finished;
+    act(() => {
+      finished = ref.current.rollTo(9);
+    });
+    expect(dice[0].rollTo).toHaveBeenCalledWith(8);
+    expect(dice[1].rollTo).toHaveBeenCalledWith(1);
+    dice[0].land(8);
+    dice[1].land(1);
+    expect(await finished).toBe(9);
+    expect(ref.current.getResult()).toBe(9);
+  });
+
+  it("resolves with null when reset mid-roll", async () => {
+    const { dice, ref } = mountGroup();
+
+    let finished;
+    act(() => {
+      finished = ref.current.roll();
+    });
+    act(() => ref.current.reset());
+    expect(await finished).toBe(null);
+  });
+
+  it("leaves announcements and activation to the group it sits in", async () => {
+    const outer = vi.fn();
+    const { dice, latest } = mountGroup({ rollSignal: 1 }, { outer });
+
+    expect(latest.nested).toBe(true);
+    await act(async () => {
+      dice[0].land(2);
+      dice[1].land(2);
+    });
+    expect(latest.announcement).toBe("");
+    latest.activate();
+    expect(outer).toHaveBeenCalledTimes(1);
+  });
+});
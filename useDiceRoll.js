@@ -0,0 +1,371 @@
+import { useState, useMemo, useEffect, useRef } from "react";
+import { readFace } from "./diceReading";
+import { faceQuaternion, FORWARD, TOP } from "./diceFaces";
+import { createRng, nextSeed } from "./rng";
+import { drawThrow } from "./dicePhysics";
+import { rollOutcome } from "./diceEffects";
+
+const LAND_TIMEOUT_MS = 1500; // longest a scripted roll waits for the mesh to reach its face
+const SETTLED_WAIT_MS = 3000; // longest a replayed physics roll at rest waits for the roller's result
+
+// ===== Roll state machine shared by every die =====
+// Scripted rolls pick the face up front, tumble for rollDurationMs, then slerp to it; the mesh
+// calls handleSettle once the face is actually there. Physics rolls pick nothing; the mesh
+// reports its resting orientation through handleRest.
+// Lifecycle: onRollStart -> onBounce (each impact) -> onSettle -> onRollComplete, each with a
+// result object { dieType, value, label, faceIndex, seed, timestamp } (value, label and
+// faceIndex are null until the die settles; onBounce adds the impact strength).
+// roll() / rollTo() return a promise for the settled value (null if the die is reset first).
+// Controlled mode (value !== undefined): the die never picks its own result. Clicks and roll()
+// call onRequestRoll, and the die tumbles onto `value` whenever value or rollId changes.
+// A settled value at or above critOn / at or below fumbleOn is reported as "critical" / "fumble".
+// faceValue / faceLabel (faceIndex => ...) override the registry's, e.g. for custom faces.
+// reducedMotion skips the tumble (and physics): the result is picked and shown straight away.
+// onThrow({ seed, direction, spin, physics, result, replay }) fires as each roll starts (result is
+// null for physics rolls until they land, spin is null unless the die was thrown by hand);
+// replayRoll() plays back a throw made elsewhere from that info. onLand({ seed, result }) fires when
+// a physics roll thrown here comes to rest; pinReplay() hands the same info to the die replaying it,
+// which reports that result (turning to its face if its own simulation landed elsewhere).
+export default function useDiceRoll(
+  definition,
+  {
+    onRollComplete,
+    rollSignal = 0,
+    physics = false,
+    seed,
+    rng,
+    variant,
+    value,
+    rollId,
+    onRequestRoll,
+    critOn,
+    fumbleOn,
+    onCritical,
+    onFumble,
+    faceValue,
+    faceLabel,
+    reducedMotion = false,
+    onThrow,
+    onLand,
+    onRollStart,
+    onBounce,
+    onSettle,
+  }
+) {
+  const highestFace = definition.sides - 1;
+  const valueOf = faceValue || ((faceIndex) => definition.faceValue(faceIndex, variant));
+  const labelOf = faceLabel || ((faceIndex) => definition.faceLabel(faceIndex, variant));
+
+  const [rolling, setRolling] = useState(false);
+  const [result, setResult] = useState(() => valueOf(highestFace));
+  const [targetQuaternion, setTargetQuaternion] = useState(null);
+  const [rollDirection, setRollDirection] = useState([0, 0, 0]);
+  const [rollSpin, setRollSpin] = useState([0, 0, 0]);
+  const [resetSignal, setResetSignal] = useState(0);
+  const [physicsRoll, setPhysicsRoll] = useState(false); // mode of the roll in flight
+  const [throwSeed, setThrowSeed] = useState(0);         // seeds a physics body's own draws
+  const [settled, setSettled] = useState(false);         // true once a roll has landed, until the next one
+
+  const rollingRef = useRef(false);  // guards against two rolls starting in the same tick
+  const lastResult = useRef(null);   // value of the last completed roll, for getResult()
+  const settleTimer = useRef(null);
+  const landTimer = useRef(null);
+  const landingFace = useRef(null);  // face a scripted roll is turning to, until the mesh gets there
+  const rollSeed = useRef(null);     // seed of the roll in flight (or last one)
+  const waiters = useRef([]);        // resolvers of roll() / rollTo() promises
+  const pinned = useRef(null);       // replayed physics roll: { seed, result, restingFace }, result once known
+  const pinTimer = useRef(null);
+
+  // where the camera reads a face: straight on, or for physics dice on top, as handleRest reads them.
+  // Scripted landings on a physics die go there too, so the face shown is the face reported.
+  const view = physics ? TOP : FORWARD;
+
+  // the highest face looks at the camera before the first roll
+  const initialQuaternion = useMemo(
+    () => faceQuaternion(definition, highestFace, view),
+    [definition, highestFace, view]
+  );
+
+  // Every random decision comes from this source: an injected rng, a seeded stream, or Math.random
+  const random = useMemo(() => rng || (seed !== undefined ? createRng(seed) : Math.random), [rng, seed]);
+
+  const settleWaiters = (value) => {
+    const pending = waiters.current;
+    waiters.current = [];
+    pending.forEach((resolve) => resolve(value));
+  };
+
+  // drop whatever the roll in flight was waiting for (its promises stay pending)
+  const abandonRoll = () => {
+    clearTimeout(settleTimer.current);
+    clearTimeout(landTimer.current);
+    clearTimeout(pinTimer.current);
+    landingFace.current = null;
+    pinned.current = null;
+    rollingRef.current = false;
+  };
+
+  // never fire a stale settle after unmount; anyone awaiting the roll gets null
+  useEffect(
+    () => () => {
+      abandonRoll();
+      settleWaiters(null);
+    },
+    []
+  );
+
+  const rollInfo = (faceIndex = null) => ({
+    dieType: `d${definition.sides}`,
+    value: faceIndex === null ? null : valueOf(faceIndex),
+    label: faceIndex === null ? null : labelOf(faceIndex),
+    faceIndex,
+    seed: rollSeed.current,
+    timestamp: Date.now(),
+  });
+
+  const completeRoll = (faceIndex) => {
+    const rollResult = rollInfo(faceIndex);
+    rollingRef.current = false;
+    lastResult.current = rollResult.value;
+    setResult(rollResult.value);
+    setRolling(false);
+    setSettled(true);
+
+    if (onSettle) onSettle(rollResult);
+    if (onRollComplete) onRollComplete(rollResult);
+
+    const outcome = rollOutcome(rollResult.value, { critOn, fumbleOn });
+    if (outcome === "critical" && onCritical) onCritical(rollResult);
+    if (outcome === "fumble" && onFumble) onFumble(rollResult);
+
+    settleWaiters(rollResult.value);
+  };
+
+  // physics rolls: read whichever face is showing now the die is at rest. A cocked die is not
+  // read at all; returning false tells the mesh to knock it back into play.
+  const handleRest = (quaternion) => {
+    if (!rollingRef.current) return true;
+    const reading = readFace(definition, quaternion);
+    if (reading.cocked) return false;
+    if (pinned.current) {
+      pinned.current.restingFace = reading.faceIndex;
+      landReplay();
+      return true;
+    }
+    if (onLand) onLand({ seed: rollSeed.current, result: valueOf(reading.faceIndex) });
+    completeRoll(reading.faceIndex);
+    return true;
+  };
+
+  // a replayed physics roll at rest reports the roller's result. Without it after SETTLED_WAIT_MS
+  // (the roller left, say) it keeps its own reading.
+  const landReplay = () => {
+    const { result, restingFace } = pinned.current;
+    if (restingFace === null) return; // still tumbling
+    clearTimeout(pinTimer.current);
+    if (result === null) {
+      pinTimer.current = setTimeout(() => {
+        pinned.current.result = valueOf(restingFace);
+        landReplay();
+      }, SETTLED_WAIT_MS);
+      return;
+    }
+
+    pinned.current = null;
+    if (valueOf(restingFace) === result) {
+      completeRoll(restingFace);
+      return;
+    }
+    // landed elsewhere than the roller's die: turn to its face, as a scripted roll lands
+    const faceIndex = faceIndexForValue(result);
+    landingFace.current = faceIndex;
+    setTargetQuaternion(faceQuaternion(definition, faceIndex, TOP));
+    setRolling(false);
+    landTimer.current = setTimeout(handleSettle, LAND_TIMEOUT_MS);
+  };
+
+  // scripted rolls: the mesh has turned the face to the camera
+  const handleSettle = () => {
+    if (landingFace.current === null) return;
+    const faceIndex = landingFace.current;
+    landingFace.current = null;
+    clearTimeout(landTimer.current);
+    completeRoll(faceIndex);
+  };
+
+  // strength is roughly 0–1
+  const handleImpact = (strength) => {
+    if (onBounce && rollingRef.current) onBounce({ ...rollInfo(), strength });
+  };
+
+  // forcedFaceIndex makes the roll land on that face (always a scripted roll).
+  // A replay passes the original roll's seed and mode instead of drawing its own.
+  // A gesture ({ direction, spin } from diceInput.js) replaces the drawn throw and spin.
+  const startRoll = (forcedFaceIndex, { replaySeed, physicsMode, replay = false, gesture } = {}) => {
+    if (rollingRef.current) return;
+    rollingRef.current = true;
+    setRolling(true);
+    setSettled(false);
+
+    const usePhysics = physicsMode !== undefined
+      ? physicsMode
+      : physics && forcedFaceIndex === undefined && !reducedMotion;
+    setPhysicsRoll(usePhysics);
+
+    // One seed per roll drives its throw, spin and face, so the roll can be replayed from it
+    const seedForRoll = replaySeed !== undefined ? replaySeed : nextSeed(random);
+    const rollRandom = createRng(seedForRoll);
+    rollSeed.current = seedForRoll;
+    if (onRollStart) onRollStart(rollInfo());
+
+    const drawn = drawThrow(rollRandom);
+    // the draws above happen either way, so a gesture never changes which face a seed lands on
+    const direction = gesture ? gesture.direction : drawn.direction;
+    const spin = gesture ? gesture.spin : drawn.spin;
+    setRollDirection(direction);
+    setRollSpin(spin);
+    setResetSignal((s) => s + 1);
+
+    const throwInfo = { seed: seedForRoll, direction, spin: gesture ? spin : null, physics: usePhysics, replay };
+
+    // Physics rolls pick no face up front; handleRest reads it once the die settles.
+    // The body draws its starting orientation from a seed of its own, taken from the same stream.
+    if (usePhysics) {
+      setThrowSeed(nextSeed(rollRandom));
+      setTargetQuaternion(null);
+      if (onThrow) onThrow({ ...throwInfo, result: null });
+      return;
+    }
+
+    const faceIndex = forcedFaceIndex !== undefined ? forcedFaceIndex : Math.floor(rollRandom() * definition.sides);
+    if (onThrow) onThrow({ ...throwInfo, result: valueOf(faceIndex) });
+    const target = faceQuaternion(definition, faceIndex, view);
+
+    // After the tumble, turn the rolled face to the camera; the mesh reports when it is there
+    // (the land timer covers a canvas that is not rendering)
+    settleTimer.current = setTimeout(() => {
+      landingFace.current = faceIndex;
+      setTargetQuaternion(target);
+      setRolling(false);
+      landTimer.current = setTimeout(handleSettle, LAND_TIMEOUT_MS);
+    }, reducedMotion ? 0 : definition.rollDurationMs);
+  };
+
+  const faceIndexForValue = (target) => {
+    const index = definition.faces.findIndex((_, i) => valueOf(i) === target);
+    if (index < 0) {
+      throw new Error(`d${definition.sides} has no face with value ${target}`);
+    }
+    return index;
+  };
+
+  // A roll already in flight is joined rather than restarted
+  const roll = () => {
+    const finished = new Promise((resolve) => waiters.current.push(resolve));
+    startRoll();
+    return finished;
+  };
+
+  // A roll in flight is thrown again towards the new value; its promises settle on that value
+  const rollTo = (target) => {
+    const faceIndex = faceIndexForValue(target);
+    const finished = new Promise((resolve) => waiters.current.push(resolve));
+    abandonRoll();
+    startRoll(faceIndex);
+    return finished;
+  };
+
+  // Play back a throw made elsewhere ({ seed, physics, result, direction, spin } from onThrow);
+  // like rollTo, it takes over a roll in flight. Scripted replays are pinned to the reported result.
+  const replayRoll = ({ seed: replaySeed, physics: physicsMode, result: target, direction, spin }) => {
+    const faceIndex = physicsMode ? undefined : faceIndexForValue(target);
+    const gesture = spin ? { direction, spin } : undefined; // only hand-thrown rolls carry a spin
+    const finished = new Promise((resolve) => waiters.current.push(resolve));
+    abandonRoll();
+    startRoll(faceIndex, { replaySeed, physicsMode, replay: true, gesture });
+    if (physicsMode) pinned.current = { seed: replaySeed, result: null, restingFace: null };
+    return finished;
+  };
+
+  // The roller's physics roll came to rest on `result` (a settled message); ignored unless this
+  // die is replaying that throw
+  const pinReplay = ({ seed: rollerSeed, result: rollerResult }) => {
+    if (!pinned.current || pinned.current.seed !== rollerSeed) return;
+    faceIndexForValue(rollerResult); // throws for a value this die has no face for
+    pinned.current.result = rollerResult;
+    landReplay();
+  };
+
+  // A drag or shake: thrown with the gesture's direction and spin. Controlled dice ask their
+  // owner as usual, since the result is not theirs to pick.
+  const throwRoll = (gesture) => {
+    if (value !== undefined) return requestRoll();
+    const finished = new Promise((resolve) => waiters.current.push(resolve));
+    startRoll(undefined, { gesture });
+    return finished;
+  };
+
+  // Clicks, rollSignal and ref.roll() land here: a controlled die asks its owner instead of rolling
+  const requestRoll = () => {
+    if (value === undefined) return roll();
+
+    const finished = new Promise((resolve) => waiters.current.push(resolve));
+    if (!rollingRef.current && onRequestRoll) {
+      onRequestRoll();
+    }
+    return finished;
+  };
+
+  // Back to the starting pose; a roll in flight is abandoned and its promises resolve with null
+  const reset = () => {
+    abandonRoll();
+    lastResult.current = null;
+    setRolling(false);
+    setSettled(false);
+    setTargetQuaternion(null);
+    setPhysicsRoll(false); // back to the rest pose, not into a throw from the origin
+    setResult(valueOf(highestFace));
+    setRollDirection([0, 0, 0]);
+    setResetSignal((s) => s + 1);
+    settleWaiters(null);
+  };
+
+  const getResult = () => lastResult.current;
+
+  // Roll whenever the parent bumps rollSignal (e.g. DiceTray throwing every die at once)
+  useEffect(() => {
+    if (rollSignal) requestRoll();
+  }, [rollSignal]);
+
+  // Controlled mode: tumble onto every value handed in from outside (null means "nothing yet")
+  useEffect(() => {
+    if (value !== undefined && value !== null) rollTo(value);
+  }, [value, rollId]);
+
+  // derived, so changing critOn after the roll (e.g. the kept die of a pair) still shows the effect
+  const outcome = settled ? rollOutcome(result, { critOn, fumbleOn }) : null;
+
+  return {
+    rolling,
+    result,
+    outcome,
+    targetQuaternion,
+    rollDirection,
+    rollSpin,
+    throwSeed,
+    resetSignal,
+    physicsRoll,
+    initialQuaternion,
+    handleRest,
+    handleSettle,
+    handleImpact,
+    requestRoll,
+    roll,
+    rollTo,
+    replayRoll,
+    pinReplay,
+    throwRoll,
+    reset,
+    getResult,
+  };
+}
@@ -0,0 +1,126 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import React from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import useDiceRoll from "./useDiceRoll";
+import { getDieDefinition } from "./diceRegistry";
+import { faceQuaternion, TOP } from "./diceFaces";
+
+// renders the hook and hands back its latest state
+function mountRoll(definition, options) {
+  const latest = {};
+  function Probe() {
+    Object.assign(latest, useDiceRoll(definition, options));
+    return null;
+  }
+  act(() => {
+    TestRenderer.create(React.createElement(Probe));
+  });
+  return latest;
+}
+
+// a physics throw as another browser sends it
+const physicsThrow = { seed: 5, physics: true, result: null, direction: [0.2, 0.5, -0.3], spin: null };
+
+describe("useDiceRoll", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("returns a physics die to its rest pose on reset", async () => {
+    const definition = getDieDefinition(6);
+    const dice = mountRoll(definition, { physics: true, seed: 7 });
+
+    let finished;
+    act(() => {
+      finished = dice.roll();
+    });
+    expect(dice.physicsRoll).toBe(true);
+    act(() => {
+      dice.handleRest(faceQuaternion(definition, 2, TOP));
+    });
+    expect(await finished).toBe(definition.faceValue(2));
+    expect(dice.physicsRoll).toBe(true); // the die stays where it landed
+
+    act(() => dice.reset());
+    expect(dice.physicsRoll).toBe(false);
+    expect(dice.rolling).toBe(false);
+    expect(dice.targetQuaternion).toBe(null);
+    expect(dice.initialQuaternion.angleTo(faceQuaternion(definition, definition.sides - 1, TOP))).toBeLessThan(1e-6);
+  });
+
+  it("turns a replayed physics roll to the roller's face when it lands elsewhere", async () => {
+    const definition = getDieDefinition(6);
+    const dice = mountRoll(definition, { physics: true });
+
+    let finished;
+    act(() => {
+      finished = dice.replayRoll(physicsThrow);
+    });
+    act(() => {
+      dice.pinReplay({ seed: physicsThrow.seed, result: definition.faceValue(4) });
+    });
+    expect(dice.rolling).toBe(true); // still tumbling here
+
+    act(() => {
+      dice.handleRest(faceQuaternion(definition, 2, TOP));
+    });
+    expect(dice.rolling).toBe(false);
+    expect(dice.targetQuaternion.angleTo(faceQuaternion(definition, 4, TOP))).toBeLessThan(1e-6);
+
+    act(() => dice.handleSettle());
+    expect(await finished).toBe(definition.faceValue(4));
+  });
+
+  it("settles a replayed physics roll once the roller's result arrives", async () => {
+    const definition = getDieDefinition(6);
+    const dice = mountRoll(definition, { physics: true });
+
+    let finished;
+    act(() => {
+      finished = dice.replayRoll(physicsThrow);
+    });
+    act(() => {
+      dice.handleRest(faceQuaternion(definition, 2, TOP));
+    });
+    expect(dice.getResult()).toBe(null); // waiting for the roller
+
+    act(() => {
+      dice.pinReplay({ seed: physicsThrow.seed + 1, result: definition.faceValue(4) }); // another throw's
+      dice.pinReplay({ seed: physicsThrow.seed, result: definition.faceValue(2) });
+    });
+    expect(await finished).toBe(definition.faceValue(2));
+    expect(dice.targetQuaternion).toBe(null); // no turn needed
+  });
+
+  it("keeps its own reading when the roller's result never comes", async () => {
+    vi.useFakeTimers();
+    const definition = getDieDefinition(6);
+    const dice = mountRoll(definition, { physics: true });
+
+    let finished;
+    act(() => {
+      finished = dice.replayRoll(physicsThrow);
+    });
+    act(() => {
+      dice.handleRest(faceQuaternion(definition, 3, TOP));
+    });
+    act(() => {
+      vi.runAllTimers();
+    });
+    expect(await finished).toBe(definition.faceValue(3));
+  });
+
+  it("reports where a local physics roll landed", () => {
+    const definition = getDieDefinition(6);
+    const onLand = vi.fn();
+    const dice = mountRoll(definition, { physics: true, seed: 7, onLand });
+
+    act(() => {
+      dice.roll();
+    });
+    act(() => {
+      dice.handleRest(faceQuaternion(definition, 1, TOP));
+    });
+    expect(onLand).toHaveBeenCalledWith({ seed: expect.any(Number), result: definition.faceValue(1) });
+  });
+});
@@ -0,0 +1,6 @@
+import { defineConfig } from "vitest/config";
+
+// the components are JSX in plain .js files
+export default defineConfig({
+  esbuild: { loader: "jsx", include: /\.js$/, exclude: [] },
+});